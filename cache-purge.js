@@ -0,0 +1,103 @@
+// Admin-only cache purge API, shared by server.js and server-with-auth.js
+//
+// POST /api/admin/cache/purge takes body selectors (combined with AND): prompt,
+// prompt_prefix, dimensions, user_id, older_than (ISO 8601), or { "all": true }
+// for everything. Matching images are removed from the image cache tiers, the
+// byte cache and storage, plus whatever the server derives from them; they are
+// generated (and charged) again on their next request.
+//
+// Admins are the users whose email is listed in ADMIN_EMAILS (comma separated).
+// They authenticate with a Supabase access token; the custom session_ tokens some
+// routes accept are unsigned, so they are never trusted here.
+const { parsePurgeSelector } = require('./image-cache');
+const { deleteStoredImages } = require('./image-storage');
+
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Resolve the admin user behind a bearer token, verified with Supabase Auth
+// (auth is a Supabase client's auth API). Returns { user } or { status, error }.
+async function getAdminUser(auth, req) {
+  if (!auth) {
+    return { status: 500, error: 'Authentication service not available' };
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return { status: 401, error: 'No token provided' };
+  }
+
+  const { data, error } = await auth.getUser(token);
+  const user = data?.user;
+  if (error || !user) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const email = user.email?.toLowerCase();
+  if (!email || !ADMIN_EMAILS.includes(email)) {
+    return { status: 403, error: 'Admin access required' };
+  }
+
+  return { user };
+}
+
+// Remove the images matching a purge selector. purgeDerived({ entries, urls })
+// drops the server's own data derived from the purged images and resolves with
+// { removed, matchBytes }: its counts, and which extra byte cache keys to remove.
+// Resolves with the number removed per place.
+async function purgeImages(selector, { imageCache, byteCache, storage, supabase, purgeDerived = null }) {
+  const { removed, entries } = await imageCache.purge(selector);
+  const urls = new Set(entries.map(({ url }) => url).filter(Boolean));
+
+  const derived = purgeDerived ? await purgeDerived({ entries, urls }) : {};
+  Object.assign(removed, derived.removed);
+
+  removed.bytes = await byteCache.purge((key) => {
+    if (key.startsWith('source|')) return urls.has(key.slice('source|'.length));
+    return derived.matchBytes ? derived.matchBytes(key) : false;
+  });
+  removed.storage = await deleteStoredImages({ supabase, storage, urls: [...urls] });
+
+  return removed;
+}
+
+// Express handler for POST /api/admin/cache/purge; purge(selector) resolves with
+// the counts from purgeImages
+function createCachePurgeHandler({ auth, purge }) {
+  return async (req, res) => {
+    try {
+      const { user, status, error } = await getAdminUser(auth, req);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      const { selector, error: selectorError } = parsePurgeSelector(req.body || {});
+      if (selectorError) {
+        return res.status(400).json({ error: selectorError });
+      }
+
+      const removed = await purge(selector);
+      const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+      console.log(`🧹 Cache purge by ${user.email} (${JSON.stringify(req.body)}): ${total} entries removed`, removed);
+
+      res.json({
+        status: 'success',
+        removed,
+        total,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error purging cache:', error);
+      res.status(500).json({ error: 'Failed to purge cache' });
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_EMAILS,
+  getAdminUser,
+  purgeImages,
+  createCachePurgeHandler
+};
@@ -0,0 +1,11 @@
+-- Add per-request model selection to image generations
+-- Run this in Supabase SQL Editor
+
+-- Model catalog id (seedream-v4, nano-banana, flux-schnell); NULL rows predate model selection
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS model TEXT;
+
+-- Cache lookups match on prompt + dimensions + model + seed
+DROP INDEX IF EXISTS idx_image_generations_cache_lookup;
+CREATE INDEX IF NOT EXISTS idx_image_generations_cache_lookup
+  ON public.image_generations(prompt, dimensions, model, seed)
+  WHERE success = true;
@@ -0,0 +1,5 @@
+-- Store the extracted color palette with each generated image
+-- Run this in Supabase SQL Editor
+
+-- { dominant: '#rrggbb', colors: [{ hex, rgb, population }] }, filled on first GET /WxH.palette.json
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS palette JSONB;
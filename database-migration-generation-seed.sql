@@ -0,0 +1,10 @@
+-- Add deterministic seed support to image generations
+-- Run this in Supabase SQL Editor
+
+-- Seed passed to the image provider; NULL means the provider picked one at random
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- Cache lookups match on prompt + dimensions + seed
+CREATE INDEX IF NOT EXISTS idx_image_generations_cache_lookup
+  ON public.image_generations(prompt, dimensions, seed)
+  WHERE success = true;
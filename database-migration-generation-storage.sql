@@ -0,0 +1,16 @@
+-- Track where each generated image is stored in our own storage
+-- Run this in Supabase SQL Editor
+
+-- Object key in the image storage backend (<dimensions>/<sha256>.<ext>); public_url is the
+-- rehosted URL. NULL means public_url still points at the provider and the background
+-- migration in server.js will copy it over.
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+-- Failed migration attempts and the last error; rows that failed 3 times (expired
+-- provider URLs) are no longer retried on startup
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS storage_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.image_generations ADD COLUMN IF NOT EXISTS storage_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_image_generations_unstored
+  ON public.image_generations (id)
+  WHERE storage_path IS NULL AND public_url IS NOT NULL AND success = true;
@@ -0,0 +1,33 @@
+-- Add outgoing completion webhooks per API key
+-- Run this in Supabase SQL Editor
+
+-- Webhook target and HMAC signing secret of each API key
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS webhook_url TEXT;
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS webhook_secret TEXT;
+
+-- One row per webhook event, updated on every delivery attempt
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id UUID PRIMARY KEY,
+  api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  event TEXT NOT NULL, -- generation.completed, generation.failed
+  url TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT DEFAULT 'pending' NOT NULL, -- pending, retrying, delivered, failed
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  response_status INTEGER,
+  last_error TEXT,
+  next_retry_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_api_key_id
+  ON public.webhook_deliveries(api_key_id, created_at DESC);
+
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own webhook deliveries" ON public.webhook_deliveries;
+CREATE POLICY "Users can view own webhook deliveries" ON public.webhook_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
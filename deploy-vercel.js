@@ -29,7 +29,7 @@ if (!fs.existsSync(path.join(__dirname, 'vercel.json'))) {
 console.log('✅ vercel.json configuration found');
 
 // Check if .env or environment variables are set
-const falKey = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
+const falKey = process.env.FAL_KEY;
 if (!falKey) {
   console.log('⚠️  FAL_KEY not set. You\'ll need to set it in Vercel dashboard after deployment.');
 } else {
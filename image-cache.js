@@ -0,0 +1,730 @@
+// Tiered cache for generated images
+//
+// One lookup path for "has this image been generated already?", shared by
+// server.js and server-with-auth.js. Tiers are checked in order, fastest first:
+//   memory      - NodeCache in this process
+//   disk        - JSON records on the local filesystem, survive restarts
+//   persistent  - successful rows in Supabase image_generations
+// A hit in a later tier is copied into the earlier ones. Values are records
+// like { url, createdAt } (the persistent tier adds generationId and palette).
+//
+// Every tier implements:
+//   name                          - used in hit metrics
+//   get(key, fields) -> Promise<value | null>
+//   set(key, fields, value) -> Promise
+//   invalidate(key, fields) -> Promise
+//   clear() -> Promise            - optional
+//   purge(match) -> Promise<[{ fields, url }]>  - removes entries where match(key, fields, value);
+//                                   the persistent tier takes the selector instead
+//
+// Keys are built by getImageCacheKey() from { prompt, dimensions, format, model, seed }.
+// format is null for source images, which are format-independent: every output
+// encoding is transcoded from the same source.
+//
+// DiskByteCache is separate: it keeps image bytes (sources and encoded outputs)
+// on disk so cache hits don't refetch remote URLs, bounded by a byte cap with
+// least-recently-used eviction.
+//
+// Purge selectors (POST /api/admin/cache/purge) pick entries by
+// { prompt, promptPrefix, dimensions, userId, olderThan } or { all: true }.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const NodeCache = require('node-cache');
+const { DEFAULT_MODEL, LEGACY_MODEL } = require('./image-providers');
+const { normalizeFormat } = require('./image-processing');
+
+const MEMORY_TTL_SECONDS = 24 * 60 * 60;
+const DISK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_DISK_DIR = path.join(os.tmpdir(), 'ai-placeholder-image-cache');
+const DEFAULT_BYTE_CACHE_MB = 512;
+const DEFAULT_RENDERED_CACHE_MB = 64;
+const RENDERED_TTL_MS = 60 * 60 * 1000;
+
+// Fill in defaults so equivalent requests map to the same key
+function normalizeCacheFields({ prompt, dimensions, format = null, model = DEFAULT_MODEL, seed = null }) {
+  return {
+    prompt,
+    dimensions,
+    format: format ? normalizeFormat(format) : null,
+    model: model || DEFAULT_MODEL,
+    seed: seed === undefined ? null : seed
+  };
+}
+
+function getImageCacheKey(fields) {
+  const { prompt, dimensions, format, model, seed } = normalizeCacheFields(fields);
+  return `${dimensions}|${format || 'source'}|${model}|${seed === null ? 'noseed' : `seed${seed}`}|${prompt}`;
+}
+
+// Fields back from a getImageCacheKey() key; the prompt is last, so it may contain '|'
+function parseImageCacheKey(key) {
+  const [dimensions, format, model, seedKey, ...promptParts] = key.split('|');
+  if (promptParts.length === 0) {
+    return null;
+  }
+  return {
+    prompt: promptParts.join('|'),
+    dimensions,
+    format: format === 'source' ? null : format,
+    model,
+    seed: seedKey === 'noseed' ? null : parseInt(seedKey.slice(4))
+  };
+}
+
+const DIMENSIONS_PATTERN = /^\d+x\d+$/;
+
+// Validate a purge request body ({ prompt, prompt_prefix, dimensions, user_id,
+// older_than, all }) into a selector. Returns { selector } or { error }.
+function parsePurgeSelector(body = {}) {
+  if (body.all === true) {
+    return { selector: { all: true } };
+  }
+
+  const selector = {};
+  for (const [name, field] of [['prompt', 'prompt'], ['prompt_prefix', 'promptPrefix'], ['user_id', 'userId']]) {
+    if (body[name] !== undefined) {
+      if (typeof body[name] !== 'string' || body[name] === '') {
+        return { error: `Invalid ${name}. Must be a non-empty string` };
+      }
+      selector[field] = body[name];
+    }
+  }
+  if (body.dimensions !== undefined) {
+    if (typeof body.dimensions !== 'string' || !DIMENSIONS_PATTERN.test(body.dimensions)) {
+      return { error: 'Invalid dimensions. Must be WIDTHxHEIGHT, e.g. 600x400' };
+    }
+    selector.dimensions = body.dimensions;
+  }
+  if (body.older_than !== undefined) {
+    const olderThan = new Date(body.older_than);
+    if (typeof body.older_than !== 'string' || isNaN(olderThan.getTime())) {
+      return { error: 'Invalid older_than. Must be an ISO 8601 date' };
+    }
+    selector.olderThan = olderThan;
+  }
+
+  if (Object.keys(selector).length === 0) {
+    return { error: 'Provide at least one of prompt, prompt_prefix, dimensions, user_id, older_than, or all: true' };
+  }
+  return { selector };
+}
+
+// Whether a cached entry matches a selector. userId can't be checked here:
+// only image_generations rows know who generated an image.
+function matchesPurgeSelector(selector, fields, createdAt) {
+  if (selector.all) return true;
+  if (selector.prompt !== undefined && fields.prompt !== selector.prompt) return false;
+  if (selector.promptPrefix !== undefined && !fields.prompt.startsWith(selector.promptPrefix)) return false;
+  if (selector.dimensions !== undefined && fields.dimensions !== selector.dimensions) return false;
+  if (selector.olderThan !== undefined && !(createdAt && new Date(createdAt) < selector.olderThan)) return false;
+  return true;
+}
+
+class MemoryCacheTier {
+  constructor({ ttlSeconds = MEMORY_TTL_SECONDS } = {}) {
+    this.name = 'memory';
+    this.cache = new NodeCache({ stdTTL: ttlSeconds });
+  }
+
+  async get(key) {
+    return this.cache.get(key) || null;
+  }
+
+  async set(key, fields, value) {
+    this.cache.set(key, value);
+  }
+
+  async invalidate(key) {
+    this.cache.del(key);
+  }
+
+  async clear() {
+    this.cache.flushAll();
+  }
+
+  async purge(match) {
+    const purged = [];
+    for (const key of this.cache.keys()) {
+      const fields = parseImageCacheKey(key);
+      const value = this.cache.get(key);
+      if (fields && value && match(key, fields, value)) {
+        this.cache.del(key);
+        purged.push({ fields, url: value.url || null });
+      }
+    }
+    return purged;
+  }
+}
+
+// One JSON file per key, named by its hash. Writes go to a temp file that is
+// renamed into place, so readers never see a partial record.
+class DiskCacheTier {
+  constructor({ dir = DEFAULT_DISK_DIR, ttlMs = DISK_TTL_MS } = {}) {
+    this.name = 'disk';
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Disk cache read failed:', error.message);
+      }
+      return null;
+    }
+
+    if (record.key !== key) {
+      return null;
+    }
+    if (record.expiresAt < Date.now()) {
+      await this.invalidate(key);
+      return null;
+    }
+    return record.value;
+  }
+
+  async set(key, fields, value) {
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify({ key, value, expiresAt: Date.now() + this.ttlMs }));
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      console.warn('Disk cache write failed:', error.message);
+      fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  async invalidate(key) {
+    await fs.unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+    await Promise.all(files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => fs.unlink(path.join(this.dir, file)).catch(() => {})));
+  }
+
+  // Reads every record, so this is for admin purges rather than request paths
+  async purge(match) {
+    const purged = [];
+    const files = (await fs.readdir(this.dir).catch(() => [])).filter((file) => file.endsWith('.json'));
+    for (const file of files) {
+      let record;
+      try {
+        record = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+      } catch (error) {
+        continue;
+      }
+      const fields = parseImageCacheKey(record.key);
+      if (fields && (record.expiresAt < Date.now() || match(record.key, fields, record.value))) {
+        await fs.unlink(path.join(this.dir, file)).catch(() => {});
+        // Expired records are cleaned up on the way but not reported as purged
+        if (record.expiresAt >= Date.now()) {
+          purged.push({ fields, url: record.value?.url || null });
+        }
+      }
+    }
+    return purged;
+  }
+}
+
+// Successful generations logged in image_generations. Rows are written by the
+// servers' generation logging (they carry user and credit details), so set() is
+// a no-op. Only source images (format null) are stored here.
+class SupabaseCacheTier {
+  constructor(supabase) {
+    this.name = 'persistent';
+    this.supabase = supabase;
+  }
+
+  // Latest successful generation row for the same prompt, dimensions, model and seed
+  async findGeneration(fields) {
+    const { prompt, dimensions, model, seed } = normalizeCacheFields(fields);
+    let query = this.supabase
+      .from('image_generations')
+      .select('id, public_url, palette, credits_used, created_at')
+      .eq('prompt', prompt)
+      .eq('dimensions', dimensions)
+      .eq('success', true)
+      .not('public_url', 'is', null);
+    query = seed !== null ? query.eq('seed', seed) : query.is('seed', null);
+    // Rows logged before model selection existed were generated with LEGACY_MODEL
+    query = model === LEGACY_MODEL
+      ? query.or(`model.eq.${model},model.is.null`)
+      : query.eq('model', model);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    return !error && data && data.public_url ? data : null;
+  }
+
+  async get(key, fields) {
+    if (!this.supabase || fields.format) {
+      return null;
+    }
+    const generation = await this.findGeneration(fields);
+    if (!generation) {
+      return null;
+    }
+    return {
+      url: generation.public_url,
+      createdAt: generation.created_at,
+      generationId: generation.id,
+      palette: generation.palette || null
+    };
+  }
+
+  async set() {}
+
+  // Drop the stored URL so the image is generated again; the rows stay for usage history
+  async invalidate(key, fields) {
+    if (!this.supabase || fields.format) {
+      return;
+    }
+    const { prompt, dimensions, model, seed } = normalizeCacheFields(fields);
+    let query = this.supabase
+      .from('image_generations')
+      .update({ public_url: null })
+      .eq('prompt', prompt)
+      .eq('dimensions', dimensions);
+    query = seed !== null ? query.eq('seed', seed) : query.is('seed', null);
+    query = model === LEGACY_MODEL
+      ? query.or(`model.eq.${model},model.is.null`)
+      : query.eq('model', model);
+
+    const { error } = await query;
+    if (error) {
+      console.error('Error invalidating stored generation:', error);
+    }
+  }
+
+  // Clear public_url and storage_path on every successful row matching the
+  // selector, in id-ordered pages. Returns the rows as they were before.
+  async purge(selector, { batchSize = 500 } = {}) {
+    if (!this.supabase) {
+      return [];
+    }
+
+    const purged = [];
+    let lastId = null;
+    for (;;) {
+      let query = this.supabase
+        .from('image_generations')
+        .select('id, prompt, dimensions, model, seed, public_url, storage_path')
+        .eq('success', true)
+        .not('public_url', 'is', null);
+      if (selector.prompt !== undefined) query = query.eq('prompt', selector.prompt);
+      if (selector.promptPrefix !== undefined) query = query.like('prompt', `${selector.promptPrefix.replace(/[\\%_]/g, '\\$&')}%`);
+      if (selector.dimensions !== undefined) query = query.eq('dimensions', selector.dimensions);
+      if (selector.userId !== undefined) query = query.eq('user_id', selector.userId);
+      if (selector.olderThan !== undefined) query = query.lt('created_at', selector.olderThan.toISOString());
+      if (lastId !== null) query = query.gt('id', lastId);
+
+      const { data: rows, error } = await query.order('id', { ascending: true }).limit(batchSize);
+      if (error) {
+        throw new Error(`Loading generations to purge failed: ${error.message}`);
+      }
+      if (!rows || rows.length === 0) {
+        return purged;
+      }
+      lastId = rows[rows.length - 1].id;
+
+      const { error: updateError } = await this.supabase
+        .from('image_generations')
+        .update({ public_url: null, storage_path: null })
+        .in('id', rows.map((row) => row.id));
+      if (updateError) {
+        throw new Error(`Purging stored generations failed: ${updateError.message}`);
+      }
+
+      rows.forEach((row) => purged.push({
+        fields: normalizeCacheFields({ prompt: row.prompt, dimensions: row.dimensions, model: row.model || LEGACY_MODEL, seed: row.seed }),
+        url: row.public_url
+      }));
+    }
+  }
+}
+
+class TieredCache {
+  constructor(tiers) {
+    this.tiers = tiers;
+    this.metrics = {
+      hits: Object.fromEntries(tiers.map((tier) => [tier.name, 0])),
+      misses: 0,
+      sets: 0,
+      invalidations: 0
+    };
+  }
+
+  tier(name) {
+    return this.tiers.find((tier) => tier.name === name) || null;
+  }
+
+  // Returns the cached record, or null. A failing tier counts as a miss for that
+  // tier, so an unreachable persistent store never breaks memory or disk hits.
+  async get(fields) {
+    const normalized = normalizeCacheFields(fields);
+    const key = getImageCacheKey(normalized);
+
+    for (let index = 0; index < this.tiers.length; index++) {
+      const tier = this.tiers[index];
+      let value = null;
+      try {
+        value = await tier.get(key, normalized);
+      } catch (error) {
+        console.warn(`Cache tier ${tier.name} lookup failed:`, error.message);
+      }
+      if (value) {
+        this.metrics.hits[tier.name]++;
+        // Backfill the faster tiers
+        await Promise.all(this.tiers.slice(0, index).map((earlier) => earlier.set(key, normalized, value)));
+        return value;
+      }
+    }
+
+    this.metrics.misses++;
+    return null;
+  }
+
+  async set(fields, value) {
+    const normalized = normalizeCacheFields(fields);
+    const key = getImageCacheKey(normalized);
+    this.metrics.sets++;
+    await Promise.all(this.tiers.map((tier) => tier.set(key, normalized, value)));
+  }
+
+  // Remove an entry from every tier, or only the named ones
+  // (e.g. { tiers: ['memory', 'disk'] } to keep the persistent record)
+  async invalidate(fields, { tiers = null } = {}) {
+    const normalized = normalizeCacheFields(fields);
+    const key = getImageCacheKey(normalized);
+    this.metrics.invalidations++;
+    await Promise.all(this.tiers
+      .filter((tier) => !tiers || tiers.includes(tier.name))
+      .map((tier) => tier.invalidate(key, normalized)));
+  }
+
+  // Empty the tiers that support it (memory and disk); persistent records stay
+  async clear() {
+    await Promise.all(this.tiers.filter((tier) => tier.clear).map((tier) => tier.clear()));
+  }
+
+  // Remove every entry matching a purge selector from all tiers. The persistent
+  // tier goes first: the rows it purges are also removed from memory and disk,
+  // which is the only way a userId selector reaches those tiers.
+  // Resolves with { removed: { <tier>: count }, entries: [{ fields, url }] }.
+  async purge(selector) {
+    const removed = {};
+    const entries = [];
+    const persistent = this.tier('persistent');
+    const rows = persistent ? await persistent.purge(selector) : [];
+    if (persistent) {
+      removed.persistent = rows.length;
+      entries.push(...rows);
+    }
+
+    const rowKeys = new Set(rows.map((row) => getImageCacheKey(row.fields)));
+    const match = (key, fields, value) => rowKeys.has(key) ||
+      (selector.userId === undefined && matchesPurgeSelector(selector, fields, value.createdAt));
+    for (const tier of this.tiers.filter((tier) => tier !== persistent)) {
+      const purged = await tier.purge(match);
+      removed[tier.name] = purged.length;
+      entries.push(...purged);
+    }
+
+    this.metrics.invalidations += entries.length;
+    return { removed, entries };
+  }
+
+  // Per-tier hit counts and the overall hit rate, for /health
+  stats() {
+    const hits = Object.values(this.metrics.hits).reduce((sum, count) => sum + count, 0);
+    const lookups = hits + this.metrics.misses;
+    return {
+      tiers: this.tiers.map((tier) => tier.name),
+      ...this.metrics,
+      hits: { ...this.metrics.hits },
+      hit_rate: lookups ? Math.round((hits / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+// Small in-memory LRU of encoded outputs (Buffers or strings) in front of the
+// byte cache, bounded by total size rather than entry count: every distinct
+// caption, quality or pixel ratio is a new multi-megabyte entry.
+class MemoryLruCache {
+  constructor({ maxBytes, ttlMs = RENDERED_TTL_MS }) {
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, size, expiresAt }, least recently used first
+    this.totalBytes = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt < Date.now()) {
+      this.del(key);
+      return undefined;
+    }
+    // Most recently used now
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    const size = Buffer.isBuffer(value) ? value.length : Buffer.byteLength(String(value));
+    this.del(key);
+    if (size > this.maxBytes) {
+      return false;
+    }
+    this.entries.set(key, { value, size, expiresAt: Date.now() + this.ttlMs });
+    this.totalBytes += size;
+    for (const [oldest] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.del(oldest);
+    }
+    return true;
+  }
+
+  // Accepts one key or an array, like NodeCache; returns the number removed
+  del(keys) {
+    let removed = 0;
+    for (const key of Array.isArray(keys) ? keys : [keys]) {
+      const entry = this.entries.get(key);
+      if (entry) {
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.totalBytes, max_bytes: this.maxBytes };
+  }
+}
+
+// Image bytes on disk, evicted least recently used first once the total size
+// exceeds maxBytes. Files are named by the key's hash and written to a temp file
+// that is renamed into place, with the key itself in a small .key file next to
+// it for purges. The LRU order is kept in memory and rebuilt from file
+// modification times (bumped on every hit) when the process starts.
+class DiskByteCache {
+  constructor({ dir, maxBytes }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // file name -> size, least recently used first
+    this.totalBytes = 0;
+    this.metrics = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    this.ready = this.load();
+  }
+
+  fileName(key) {
+    return `${crypto.createHash('sha256').update(key).digest('hex')}.bin`;
+  }
+
+  keyPath(file) {
+    return path.join(this.dir, file.replace(/\.bin$/, '.key'));
+  }
+
+  async removeFile(file) {
+    this.untrack(file);
+    await Promise.all([
+      fs.unlink(path.join(this.dir, file)).catch(() => {}),
+      fs.unlink(this.keyPath(file)).catch(() => {})
+    ]);
+  }
+
+  async load() {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const files = (await fs.readdir(this.dir)).filter((file) => file.endsWith('.bin'));
+      const stats = await Promise.all(files.map(async (file) => {
+        try {
+          const stat = await fs.stat(path.join(this.dir, file));
+          return { file, size: stat.size, mtimeMs: stat.mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      }));
+      stats
+        .filter(Boolean)
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+        .forEach(({ file, size }) => this.track(file, size));
+      await this.evict();
+    } catch (error) {
+      console.warn('Byte cache index load failed:', error.message);
+    }
+  }
+
+  track(file, size) {
+    if (this.entries.has(file)) {
+      this.totalBytes -= this.entries.get(file);
+      this.entries.delete(file);
+    }
+    this.entries.set(file, size);
+    this.totalBytes += size;
+  }
+
+  untrack(file) {
+    if (this.entries.has(file)) {
+      this.totalBytes -= this.entries.get(file);
+      this.entries.delete(file);
+    }
+  }
+
+  async get(key) {
+    await this.ready;
+    const file = this.fileName(key);
+    if (!this.entries.has(file)) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    try {
+      const buffer = await fs.readFile(path.join(this.dir, file));
+      this.metrics.hits++;
+      // Most recently used now, in memory and for the next restart
+      this.track(file, buffer.length);
+      const now = new Date();
+      fs.utimes(path.join(this.dir, file), now, now).catch(() => {});
+      return buffer;
+    } catch (error) {
+      this.untrack(file);
+      this.metrics.misses++;
+      return null;
+    }
+  }
+
+  // Store bytes under a key; never throws, a failed write only costs a future miss
+  async set(key, buffer) {
+    await this.ready;
+    if (buffer.length > this.maxBytes) {
+      return;
+    }
+
+    const file = this.fileName(key);
+    const filePath = path.join(this.dir, file);
+    const tempFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempFile, buffer);
+      await fs.writeFile(this.keyPath(file), key);
+      await fs.rename(tempFile, filePath);
+      this.metrics.writes++;
+      this.track(file, buffer.length);
+      await this.evict();
+    } catch (error) {
+      console.warn('Byte cache write failed:', error.message);
+      fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  async evict() {
+    for (const [file] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.metrics.evictions++;
+      await this.removeFile(file);
+    }
+  }
+
+  async invalidate(key) {
+    await this.ready;
+    await this.removeFile(this.fileName(key));
+  }
+
+  async clear() {
+    await this.ready;
+    await Promise.all([...this.entries.keys()].map((file) => this.removeFile(file)));
+  }
+
+  // Remove every entry whose key matches; resolves with the number removed
+  async purge(match) {
+    await this.ready;
+    let purged = 0;
+    for (const file of [...this.entries.keys()]) {
+      const key = await fs.readFile(this.keyPath(file), 'utf8').catch(() => null);
+      if (key !== null && match(key)) {
+        await this.removeFile(file);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      max_bytes: this.maxBytes,
+      ...this.metrics
+    };
+  }
+}
+
+// The standard memory -> disk -> persistent stack; IMAGE_CACHE_DIR moves the disk tier
+function createImageCache({ supabase = null, diskDir = process.env.IMAGE_CACHE_DIR || DEFAULT_DISK_DIR } = {}) {
+  return new TieredCache([
+    new MemoryCacheTier(),
+    new DiskCacheTier({ dir: diskDir }),
+    new SupabaseCacheTier(supabase)
+  ]);
+}
+
+// Byte cache under IMAGE_CACHE_DIR, capped at IMAGE_BYTE_CACHE_MB megabytes (512 by default)
+function createImageByteCache({
+  dir = path.join(process.env.IMAGE_CACHE_DIR || DEFAULT_DISK_DIR, 'bytes'),
+  maxBytes = (parseInt(process.env.IMAGE_BYTE_CACHE_MB) || DEFAULT_BYTE_CACHE_MB) * 1024 * 1024
+} = {}) {
+  return new DiskByteCache({ dir, maxBytes });
+}
+
+// Rendered-output memory cache, capped at RENDERED_CACHE_MB megabytes (64 by default)
+function createRenderedCache({
+  maxBytes = (parseInt(process.env.RENDERED_CACHE_MB) || DEFAULT_RENDERED_CACHE_MB) * 1024 * 1024
+} = {}) {
+  return new MemoryLruCache({ maxBytes });
+}
+
+module.exports = {
+  getImageCacheKey,
+  parseImageCacheKey,
+  parsePurgeSelector,
+  matchesPurgeSelector,
+  MemoryCacheTier,
+  DiskCacheTier,
+  SupabaseCacheTier,
+  TieredCache,
+  createImageCache,
+  MemoryLruCache,
+  createRenderedCache,
+  DiskByteCache,
+  createImageByteCache
+};
@@ -0,0 +1,568 @@
+// Image post-processing helpers (sharp) for the placeholder image route.
+// sharp is required inside the functions that use it, so the pure helpers
+// (format negotiation, sizing) load where its native binary is unavailable.
+const axios = require('axios');
+const { encode: encodeBlurhash } = require('blurhash');
+
+// Output formats supported by the image route and their MIME types
+const OUTPUT_FORMATS = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+// Normalize format aliases so jpg and jpeg share cache entries
+function normalizeFormat(format) {
+  return format === 'jpg' ? 'jpeg' : format;
+}
+
+function getContentType(format) {
+  return OUTPUT_FORMATS[format] || 'application/octet-stream';
+}
+
+// Format of encoded image bytes from their file signature, for bytes that were
+// cached without their response headers; null when unrecognized
+function sniffImageFormat(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+  if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 4, 12) === 'ftypavif') return 'avif';
+  return null;
+}
+
+// Formats the .auto extension can negotiate, in order of preference
+const NEGOTIABLE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+// Pick the best format the client accepts from its Accept header. Types with
+// q=0 are treated as refused; JPEG is the fallback every client can decode.
+function negotiateFormat(acceptHeader) {
+  const accepted = new Set();
+  for (const part of (acceptHeader || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    if (q && parseFloat(q.slice(2)) === 0) continue;
+    accepted.add(type.trim());
+  }
+
+  return NEGOTIABLE_FORMATS.find((format) => accepted.has(OUTPUT_FORMATS[format])) || 'jpeg';
+}
+
+// Resize modes accepted via ?fit= and crop strategies accepted via ?position=
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside'];
+const POSITIONS = ['center', 'attention', 'entropy'];
+
+// Default generation limits when no provider capabilities are given:
+// each side within minSize..maxSize, in multiples of step
+const PROVIDER_SIZE = { minSize: 1024, maxSize: 2048, step: 64 };
+
+// Pick the provider-supported size closest to the requested aspect ratio that
+// still covers the requested dimensions, so sharp only has to downscale and crop
+function getProviderSize(width, height, limits = PROVIDER_SIZE) {
+  const { minSize: min, maxSize: max, step } = limits;
+  const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+  // Extreme ratios like 37x911 are generated at the widest ratio supported and cropped
+  const ratio = clamp(width / height, min / max, max / min);
+  const minHeight = Math.max(min, min / ratio);
+  const maxHeight = Math.min(max, max / ratio);
+  const providerHeight = clamp(Math.max(height, width / ratio), minHeight, maxHeight);
+  const providerWidth = providerHeight * ratio;
+
+  const roundToStep = (value) => clamp(Math.ceil(value / step) * step, min, max);
+  return {
+    width: roundToStep(providerWidth),
+    height: roundToStep(providerHeight)
+  };
+}
+
+// Largest output edge the image route serves, and the highest device pixel ratio
+const MAX_DIMENSION = 2048;
+const MAX_DPR = 3;
+
+// Resolve the device pixel ratio from an @Nx suffix, falling back to the
+// Sec-CH-Width / Sec-CH-DPR client hints (or their legacy Width / DPR names)
+function resolveDpr(suffix, headers, width) {
+  if (suffix) {
+    return parseInt(suffix.slice(1));
+  }
+
+  const widthHint = parseFloat(headers['sec-ch-width'] || headers['width']);
+  const dprHint = parseFloat(headers['sec-ch-dpr'] || headers['dpr']);
+  const dpr = widthHint > 0 ? widthHint / width : dprHint;
+
+  return dpr > 0 ? Math.min(MAX_DPR, Math.max(1, dpr)) : 1;
+}
+
+// Output size for a logical size at a pixel ratio, scaled down uniformly when
+// needed so neither edge exceeds MAX_DIMENSION
+function getScaledSize(width, height, dpr) {
+  const scale = Math.max(1, Math.min(dpr, MAX_DIMENSION / width, MAX_DIMENSION / height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale)
+  };
+}
+
+// Caption placements accepted via ?overlay= (true/1 mean center, like placehold.co)
+const OVERLAY_POSITIONS = ['center', 'top', 'bottom'];
+
+// Hex colors (placehold.co style, # optional) with optional alpha, or "transparent"
+const COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function parseColor(value) {
+  if (value === 'transparent') return 'transparent';
+  if (!COLOR_PATTERN.test(value)) return null;
+  return value.startsWith('#') ? value.toLowerCase() : `#${value.toLowerCase()}`;
+}
+
+// Parse the resize, caption and encoder options from the query string
+// (?fit=cover&position=attention&overlay=bottom&caption=Hi&quality=1-100&lossless=true)
+function parseOutputOptions(query) {
+  const options = {
+    fit: 'cover',
+    position: 'center',
+    overlay: null,
+    caption: null,
+    fontSize: null,
+    color: '#ffffff',
+    bg: '#00000080',
+    quality: null,
+    lossless: false
+  };
+
+  if (query.fit !== undefined) {
+    if (!FIT_MODES.includes(query.fit)) {
+      return { error: `Invalid fit. Must be one of: ${FIT_MODES.join(', ')}` };
+    }
+    options.fit = query.fit;
+  }
+
+  if (query.position !== undefined) {
+    if (!POSITIONS.includes(query.position)) {
+      return { error: `Invalid position. Must be one of: ${POSITIONS.join(', ')}` };
+    }
+    options.position = query.position;
+  }
+
+  // The caption is separate from the prompt so the visible label can differ from
+  // what was generated; placehold.co users passing only ?text= get it as the label
+  if (query.overlay !== undefined || query.caption !== undefined) {
+    const overlay = query.overlay === undefined || ['', 'true', '1'].includes(query.overlay)
+      ? 'center'
+      : query.overlay;
+    if (!OVERLAY_POSITIONS.includes(overlay)) {
+      return { error: `Invalid overlay. Must be one of: ${OVERLAY_POSITIONS.join(', ')}` };
+    }
+    options.overlay = overlay;
+    options.caption = query.caption || query.text || null;
+  }
+
+  if (query.font_size !== undefined) {
+    const fontSize = parseInt(query.font_size);
+    if (isNaN(fontSize) || fontSize < 6 || fontSize > 512) {
+      return { error: 'Invalid font_size. Must be between 6 and 512' };
+    }
+    options.fontSize = fontSize;
+  }
+
+  for (const name of ['color', 'bg']) {
+    if (query[name] !== undefined) {
+      const color = parseColor(query[name]);
+      if (!color) {
+        return { error: `Invalid ${name}. Must be a hex color like ffffff or 00000080, or transparent` };
+      }
+      options[name] = color;
+    }
+  }
+
+  if (query.quality !== undefined) {
+    const quality = parseInt(query.quality);
+    if (isNaN(quality) || quality < 1 || quality > 100) {
+      return { error: 'Invalid quality. Must be between 1 and 100' };
+    }
+    options.quality = quality;
+  }
+
+  if (query.lossless !== undefined) {
+    options.lossless = query.lossless === 'true' || query.lossless === '1' || query.lossless === '';
+  }
+
+  return { options };
+}
+
+// Stable cache key fragment for a format + resize/encoder options combination
+function getRenderKey(format, options) {
+  return [
+    normalizeFormat(format),
+    options.fit,
+    options.position,
+    options.overlay
+      ? `overlay:${options.overlay}:${options.fontSize || 'auto'}:${options.color}:${options.bg}:${encodeURIComponent(options.caption || '')}`
+      : 'plain',
+    `q${options.quality || 'auto'}`,
+    options.lossless ? 'lossless' : 'lossy'
+  ].join('-');
+}
+
+// Download an image into memory so it can be transcoded
+async function fetchImageBuffer(url) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxRedirects: 5
+  });
+  return Buffer.from(response.data);
+}
+
+// Escape text for use inside SVG markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SVG layer with the caption text over a background box, composited onto the image.
+// Sizes are in logical pixels and multiplied by scale for @2x/@3x output.
+function renderCaptionSvg(width, height, { overlay, caption, fontSize, color, bg, scale = 1 }) {
+  const text = String(caption);
+  // Auto size: large on short labels, shrinking so long captions still fit the width
+  const size = fontSize
+    ? Math.round(fontSize * scale)
+    : Math.max(10, Math.min(Math.round(height / 6), Math.round((width * 1.6) / Math.max(text.length, 1))));
+  const padding = Math.round(size * 0.5);
+  const boxHeight = size + padding * 2;
+  // librsvg ignores dominant-baseline, so the baseline is offset by hand to center the text
+
+  let box;
+  if (overlay === 'center') {
+    const boxWidth = Math.min(width, Math.round(text.length * size * 0.6) + padding * 2);
+    box = { x: Math.round((width - boxWidth) / 2), y: Math.round((height - boxHeight) / 2), width: boxWidth, rx: padding / 2 };
+  } else {
+    box = { x: 0, y: overlay === 'top' ? 0 : height - boxHeight, width, rx: 0 };
+  }
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    (bg === 'transparent' ? '' : `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${boxHeight}" rx="${box.rx}" fill="${bg}"/>`) +
+    `<text x="${width / 2}" y="${Math.round(box.y + boxHeight / 2 + size * 0.35)}" font-family="Helvetica, Arial, sans-serif" font-size="${size}" font-weight="bold" fill="${color}" text-anchor="middle">${escapeXml(text)}</text>` +
+    '</svg>'
+  );
+}
+
+// Wrap the raster in an SVG document for tools that only accept vector placeholders.
+// xlink:href is used over SVG2 href because older vector tools only understand it.
+// The alt text goes into <title> so it is exposed to screen readers and tooltips.
+async function encodeSvg(pipeline, { quality, lossless, alt }) {
+  const raster = lossless
+    ? pipeline.png({ compressionLevel: 9 })
+    : pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: quality || 85, mozjpeg: true });
+  const { data, info } = await raster.toBuffer({ resolveWithObject: true });
+  const mimeType = lossless ? 'image/png' : 'image/jpeg';
+  const title = alt ? escapeXml(alt) : '';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${info.width}" height="${info.height}" viewBox="0 0 ${info.width} ${info.height}" role="img"${title ? ` aria-label="${title}"` : ''}>` +
+    (title ? `<title>${title}</title>` : '') +
+    `<image width="${info.width}" height="${info.height}" xlink:href="data:${mimeType};base64,${data.toString('base64')}"/>` +
+    '</svg>';
+  return Buffer.from(svg);
+}
+
+// Resize to the requested dimensions and re-encode so the body really matches
+// the requested format. "inside" keeps the whole image without padding, so it
+// is the one fit mode that can return fewer pixels than requested.
+async function transcodeImage(input, format, options = {}) {
+  const { width, height, fit = 'cover', position = 'center', overlay, caption, quality, lossless } = options;
+  const sharp = require('sharp');
+  let pipeline = sharp(input);
+
+  if (width && height) {
+    pipeline = pipeline.resize(width, height, {
+      fit,
+      position: fit === 'cover' ? (sharp.strategy[position] || position) : 'center',
+      background: { r: 0, g: 0, b: 0, alpha: 0 } // transparent letterbox for "contain"
+    });
+  }
+
+  // Captions are drawn after resizing, sized to the actual output ("inside" can be smaller)
+  if (overlay && caption) {
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    pipeline = sharp(data).composite([
+      { input: renderCaptionSvg(info.width, info.height, options), top: 0, left: 0 }
+    ]);
+  }
+
+  switch (normalizeFormat(format)) {
+    case 'jpeg':
+      // JPEG has no alpha channel or lossless mode, flatten onto white
+      pipeline = pipeline
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: quality || 85, mozjpeg: true });
+      break;
+    case 'png':
+      // PNG is always lossless; a quality value opts into palette quantization
+      pipeline = quality && !lossless
+        ? pipeline.png({ palette: true, quality })
+        : pipeline.png({ compressionLevel: 9 });
+      break;
+    case 'webp':
+      pipeline = pipeline.webp(lossless ? { lossless: true } : { quality: quality || 80 });
+      break;
+    case 'avif':
+      pipeline = pipeline.avif(lossless ? { lossless: true } : { quality: quality || 50 });
+      break;
+    case 'gif':
+      // GIF is limited to a 256 colour palette, quality/lossless do not apply
+      pipeline = pipeline.gif();
+      break;
+    case 'svg':
+      return encodeSvg(pipeline, options);
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+
+  return pipeline.toBuffer();
+}
+
+// Image shown in place of a JSON error body, for <img> tags and in-game image
+// loaders that can only display pictures: the HTTP status large, the message below
+async function renderErrorImage(width, height, format, { status, message }) {
+  const text = String(message || '');
+  const codeSize = Math.max(8, Math.round(Math.min(height / 3, width / 4)));
+  const messageSize = Math.max(6, Math.min(Math.round(height / 12), Math.round((width * 1.6) / Math.max(text.length, 1))));
+  const codeBaseline = Math.round(height / 2 + codeSize * 0.2);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="${width}" height="${height}" fill="#2d2d2d"/>` +
+    `<text x="${width / 2}" y="${codeBaseline}" font-family="Helvetica, Arial, sans-serif" font-size="${codeSize}" font-weight="bold" fill="#ff6b6b" text-anchor="middle">${escapeXml(status)}</text>` +
+    (text
+      ? `<text x="${width / 2}" y="${Math.round(codeBaseline + messageSize * 1.6)}" font-family="Helvetica, Arial, sans-serif" font-size="${messageSize}" fill="#eeeeee" text-anchor="middle">${escapeXml(text)}</text>`
+      : '') +
+    '</svg>';
+
+  return transcodeImage(Buffer.from(svg), format, { alt: `Error ${status}: ${text}` });
+}
+
+// Soft gradient shown by wait=false while the real image is generating. Colors
+// come from the prompt, so a page shows the same stand-in on every reload, and
+// the usual output options apply, so the layout and caption already match.
+async function renderPendingPlaceholder(prompt, format, options) {
+  const { width, height } = options;
+  let hash = 0;
+  for (const char of String(prompt)) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  const hue = hash % 360;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">' +
+    `<stop offset="0" stop-color="hsl(${hue}, 35%, 72%)"/>` +
+    `<stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 35%, 52%)"/>` +
+    '</linearGradient></defs>' +
+    `<rect width="${width}" height="${height}" fill="url(#bg)"/>` +
+    '</svg>';
+
+  return transcodeImage(Buffer.from(svg), format, options);
+}
+
+// Longest edge of the sample BlurHash is computed from; more pixels only add cost
+const BLURHASH_SAMPLE_SIZE = 32;
+// BlurHash components along the longer edge (the shorter edge gets proportionally fewer)
+const BLURHASH_COMPONENTS = 4;
+// Longest edge of the LQIP preview image
+const LQIP_SIZE = 16;
+
+// Scale width x height so the longest edge is `size`, keeping the aspect ratio
+function fitWithin(width, height, size) {
+  const scale = size / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+// BlurHash of the source cropped to the requested aspect ratio, like the image route's default cover fit
+async function computeBlurhash(input, width, height) {
+  const sharp = require('sharp');
+  const sample = fitWithin(width, height, BLURHASH_SAMPLE_SIZE);
+  const { data, info } = await sharp(input)
+    .resize(sample.width, sample.height, { fit: 'cover' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const components = fitWithin(width, height, BLURHASH_COMPONENTS);
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, components.width, components.height);
+}
+
+// Tiny blurred WebP preview as a data URI, meant to be stretched to the full size while the real image loads
+async function computeLqip(input, width, height) {
+  const sharp = require('sharp');
+  const preview = fitWithin(width, height, LQIP_SIZE);
+  const buffer = await sharp(input)
+    .resize(preview.width, preview.height, { fit: 'cover' })
+    .blur(0.6)
+    .webp({ quality: 40 })
+    .toBuffer();
+  return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+// Palette size limits for the .palette.json route; palettes are stored at the maximum
+const PALETTE_MIN_COLORS = 5;
+const PALETTE_MAX_COLORS = 8;
+// Longest edge of the sample palettes are clustered from
+const PALETTE_SAMPLE_SIZE = 64;
+const PALETTE_ITERATIONS = 8;
+
+function toHex([r, g, b]) {
+  return '#' + [r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Split pixels into `count` boxes along their widest channel (median cut); the box
+// averages seed k-means, so palettes are deterministic for the same image
+function medianCutCenters(pixels, count) {
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    let widest = null;
+    for (const box of boxes) {
+      if (box.length < 2) continue;
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        for (const pixel of box) {
+          min = Math.min(min, pixel[channel]);
+          max = Math.max(max, pixel[channel]);
+        }
+        if (!widest || max - min > widest.range) {
+          widest = { box, channel, range: max - min };
+        }
+      }
+    }
+    if (!widest || widest.range === 0) break; // Fewer distinct colors than requested
+
+    const sorted = [...widest.box].sort((a, b) => a[widest.channel] - b[widest.channel]);
+    const middle = sorted.length >> 1;
+    boxes.splice(boxes.indexOf(widest.box), 1, sorted.slice(0, middle), sorted.slice(middle));
+  }
+
+  return boxes.map((box) => [0, 1, 2].map((channel) =>
+    box.reduce((sum, pixel) => sum + pixel[channel], 0) / box.length));
+}
+
+// Pad a palette of a flat image, with fewer distinct colors than PALETTE_MIN_COLORS,
+// with lighter and darker shades of its colors. Shades cover none of the image
+// (population 0) and come after the colors found.
+function padPalette(colors) {
+  const padded = [...colors];
+  const seen = new Set(colors.map(({ hex }) => hex));
+  for (let step = 1; step <= 5 && padded.length < PALETTE_MIN_COLORS; step++) {
+    for (const { rgb } of colors) {
+      for (const target of [255, 0]) {
+        const shade = rgb.map((value) => Math.round(value + (target - value) * step * 0.2));
+        const hex = toHex(shade);
+        if (padded.length < PALETTE_MIN_COLORS && !seen.has(hex)) {
+          seen.add(hex);
+          padded.push({ hex, rgb: shade, population: 0 });
+        }
+      }
+    }
+  }
+  return padded;
+}
+
+// Dominant color and PALETTE_MIN_COLORS to PALETTE_MAX_COLORS palette colors of the
+// source, cropped like the image route's default cover fit. Colors are sorted by the
+// share of the image they cover, so the first one is the dominant color.
+async function computePalette(input, width, height) {
+  const sharp = require('sharp');
+  const sample = fitWithin(width, height, PALETTE_SAMPLE_SIZE);
+  const { data } = await sharp(input)
+    .resize(sample.width, sample.height, { fit: 'cover' })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 3) {
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+
+  let centers = medianCutCenters(pixels, PALETTE_MAX_COLORS);
+  let assignments = new Array(pixels.length).fill(0);
+  for (let iteration = 0; iteration < PALETTE_ITERATIONS; iteration++) {
+    assignments = pixels.map((pixel) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, index) => {
+        const distance = (pixel[0] - center[0]) ** 2 + (pixel[1] - center[1]) ** 2 + (pixel[2] - center[2]) ** 2;
+        if (distance < bestDistance) {
+          best = index;
+          bestDistance = distance;
+        }
+      });
+      return best;
+    });
+
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    pixels.forEach((pixel, index) => {
+      const sum = sums[assignments[index]];
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+      sum[3]++;
+    });
+    centers = centers.map((center, index) => (sums[index][3]
+      ? [sums[index][0] / sums[index][3], sums[index][1] / sums[index][3], sums[index][2] / sums[index][3]]
+      : center));
+  }
+
+  const counts = centers.map(() => 0);
+  assignments.forEach((index) => counts[index]++);
+
+  const colors = centers
+    .map((center, index) => {
+      const rgb = center.map((value) => Math.round(value));
+      return { hex: toHex(rgb), rgb, population: Math.round((counts[index] / pixels.length) * 1000) / 1000 };
+    })
+    .filter((color) => color.population > 0)
+    .sort((a, b) => b.population - a.population);
+
+  return { dominant: colors[0].hex, colors: padPalette(colors) };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FIT_MODES,
+  POSITIONS,
+  PROVIDER_SIZE,
+  MAX_DIMENSION,
+  MAX_DPR,
+  OVERLAY_POSITIONS,
+  normalizeFormat,
+  getContentType,
+  sniffImageFormat,
+  negotiateFormat,
+  getProviderSize,
+  resolveDpr,
+  getScaledSize,
+  parseOutputOptions,
+  getRenderKey,
+  fetchImageBuffer,
+  transcodeImage,
+  renderErrorImage,
+  renderPendingPlaceholder,
+  computeBlurhash,
+  computeLqip,
+  PALETTE_MIN_COLORS,
+  PALETTE_MAX_COLORS,
+  computePalette
+};
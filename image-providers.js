@@ -0,0 +1,273 @@
+// Image provider registry
+//
+// Every provider implements the same interface:
+//   id                       - registry name ('fal', 'stub', ...)
+//   isConfigured             - whether the provider can generate right now
+//   capabilities()           - { minSize, maxSize, step, seed } generation limits
+//   cost({ width, height })  - credits charged for one generation
+//   generate({ prompt, width, height, seed, onProgress }) -> Promise<{ url }>
+//
+// onProgress is optional and receives { status: 'IN_QUEUE', queuePosition } and
+// { status: 'IN_PROGRESS', logs } updates while the provider works.
+//
+// Providers are created per catalog model (?model=seedream-v4|nano-banana|flux-schnell).
+//
+// The returned URL is either a remote URL or a data: URI; both can be fetched with axios.
+const crypto = require('crypto');
+const { createFalClient } = require('@fal-ai/client');
+
+// No built-in fallback: without FAL_KEY the FAL provider reports isConfigured = false
+const FAL_KEY = process.env.FAL_KEY || null;
+
+// Model used when a request does not pick one with ?model=
+const DEFAULT_MODEL = process.env.IMAGE_MODEL || 'seedream-v4';
+
+// Model of image_generations rows logged before model selection existed (model NULL)
+const LEGACY_MODEL = 'seedream-v4';
+
+// FAL model catalog: endpoint, generation limits, credit cost, typical latency
+// (used until real measurements exist) and how to build the request input
+const FAL_MODELS = {
+  'seedream-v4': {
+    name: 'Seedream v4',
+    description: 'High quality, best for final mockups',
+    endpoint: 'fal-ai/bytedance/seedream/v4/text-to-image',
+    capabilities: { minSize: 1024, maxSize: 2048, step: 64, seed: true },
+    credits: 1,
+    averageLatencyMs: 12000,
+    buildInput: ({ prompt, width, height, seed }) => ({
+      prompt: prompt,
+      image_size: {
+        width: width,
+        height: height
+      },
+      num_images: 1,
+      max_images: 1,
+      ...(seed !== null && { seed }),
+      enable_safety_checker: false, // Disable safety checker for NSFW content
+      sync_mode: false // Get URLs instead of data URIs for better performance
+    })
+  },
+  'nano-banana': {
+    name: 'Nano Banana',
+    description: 'Gemini-powered, strong prompt following',
+    endpoint: 'fal-ai/nano-banana',
+    // Nano Banana has no size input and always returns a square image
+    capabilities: { minSize: 1024, maxSize: 1024, step: 64, seed: false },
+    credits: 1,
+    averageLatencyMs: 8000,
+    buildInput: ({ prompt }) => ({
+      prompt: prompt,
+      num_images: 1,
+      output_format: 'jpeg',
+      sync_mode: false // Get URLs instead of data URIs for better performance
+    })
+  },
+  'flux-schnell': {
+    name: 'FLUX.1 [schnell]',
+    description: 'Fast and cheap, good for wireframes',
+    endpoint: 'fal-ai/flux/schnell',
+    capabilities: { minSize: 512, maxSize: 1536, step: 64, seed: true },
+    credits: 1,
+    averageLatencyMs: 2000,
+    buildInput: ({ prompt, width, height, seed }) => ({
+      prompt: prompt,
+      image_size: {
+        width: width,
+        height: height
+      },
+      num_inference_steps: 4,
+      num_images: 1,
+      ...(seed !== null && { seed }),
+      enable_safety_checker: false, // Disable safety checker for NSFW content
+      sync_mode: false // Get URLs instead of data URIs for better performance
+    })
+  }
+};
+
+// Observed generation latency per model: model -> { count, totalMs }
+const latencyStats = new Map();
+
+function recordLatency(model, durationMs) {
+  const stats = latencyStats.get(model) || { count: 0, totalMs: 0 };
+  stats.count++;
+  stats.totalMs += durationMs;
+  latencyStats.set(model, stats);
+}
+
+// Model catalog as returned by GET /api/models
+function listModels() {
+  return Object.entries(FAL_MODELS).map(([id, model]) => {
+    const stats = latencyStats.get(id);
+    return {
+      id,
+      name: model.name,
+      description: model.description,
+      provider: 'fal',
+      max_width: model.capabilities.maxSize,
+      max_height: model.capabilities.maxSize,
+      max_resolution: `${model.capabilities.maxSize}x${model.capabilities.maxSize}`,
+      supports_seed: model.capabilities.seed,
+      credits: model.credits,
+      average_latency_ms: stats ? Math.round(stats.totalMs / stats.count) : model.averageLatencyMs,
+      latency_samples: stats ? stats.count : 0,
+      default: id === DEFAULT_MODEL
+    };
+  });
+}
+
+// FAL AI provider for one catalog model (Seedream v4 by default)
+class FalImageProvider {
+  constructor({ model = DEFAULT_MODEL, credentials = FAL_KEY } = {}) {
+    if (!FAL_MODELS[model]) {
+      throw new Error(`Unknown FAL model: ${model}`);
+    }
+    this.id = 'fal';
+    this.model = model;
+    this.definition = FAL_MODELS[model];
+    this.isConfigured = !!credentials;
+    this.client = createFalClient({ credentials });
+  }
+
+  capabilities() {
+    return { ...this.definition.capabilities };
+  }
+
+  cost() {
+    return this.definition.credits;
+  }
+
+  async generate({ prompt, width, height, seed = null, onProgress = null }) {
+    const { name, endpoint, buildInput } = this.definition;
+    if (!this.isConfigured) {
+      throw new Error(`${name} is not configured. Set FAL_KEY or use IMAGE_PROVIDER=stub`);
+    }
+    const startTime = Date.now();
+
+    try {
+      console.log(`Generating image with ${name}: "${prompt}"${seed !== null ? ` (seed ${seed})` : ''}`);
+
+      const result = await this.client.subscribe(endpoint, {
+        input: buildInput({ prompt, width, height, seed }),
+        logs: true,
+        onQueueUpdate: (update) => {
+          if (update.status === 'IN_QUEUE' && onProgress) {
+            onProgress({ status: 'IN_QUEUE', queuePosition: update.queue_position ?? null });
+          }
+          if (update.status === 'IN_PROGRESS') {
+            const logs = (update.logs || []).map((log) => log.message);
+            console.log(`${name} Status:`, logs.join(', '));
+            if (onProgress) {
+              onProgress({ status: 'IN_PROGRESS', logs });
+            }
+          }
+        }
+      });
+
+      // FAL responses are shaped result.data.images or result.images depending on the client version
+      const images = result.data?.images || result.images;
+      const imageUrl = images && images[0] && images[0].url;
+
+      if (!imageUrl) {
+        console.log(`No image URL in ${name} result:`, JSON.stringify(result, null, 2));
+        throw new Error(`No image generated by ${name}`);
+      }
+
+      console.log(`Found ${name} image URL:`, imageUrl);
+      recordLatency(this.model, Date.now() - startTime);
+      return { url: imageUrl };
+    } catch (error) {
+      console.error(`${name} Error:`, error);
+      throw error;
+    }
+  }
+}
+
+// Offline provider that renders a deterministic procedural image with sharp.
+// The same prompt, size and seed always give the same bytes, so the whole
+// service can run and be tested without network access or a FAL key.
+class StubImageProvider {
+  constructor({ model = DEFAULT_MODEL } = {}) {
+    this.id = 'stub';
+    this.model = model;
+    this.isConfigured = true;
+  }
+
+  capabilities() {
+    return { minSize: 1, maxSize: 2048, step: 1, seed: true };
+  }
+
+  cost() {
+    return 0;
+  }
+
+  async generate({ prompt, width, height, seed = null }) {
+    const digest = crypto.createHash('sha256')
+      .update(`${this.model}|${prompt}|${width}x${height}|${seed === null ? '' : seed}`)
+      .digest();
+
+    // Derive colors and shape positions from the digest bytes
+    const hue = (offset) => Math.round((digest[offset] / 255) * 360);
+    const shapes = [];
+    for (let i = 0; i < 6; i++) {
+      const cx = Math.round((digest[4 + i * 3] / 255) * width);
+      const cy = Math.round((digest[5 + i * 3] / 255) * height);
+      const r = Math.round(((digest[6 + i * 3] / 255) * 0.3 + 0.05) * Math.min(width, height));
+      shapes.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="hsl(${hue(22 + i)}, 70%, 60%)" fill-opacity="0.55"/>`);
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">' +
+      `<stop offset="0" stop-color="hsl(${hue(0)}, 65%, 45%)"/>` +
+      `<stop offset="1" stop-color="hsl(${hue(1)}, 65%, 25%)"/>` +
+      '</linearGradient></defs>' +
+      `<rect width="${width}" height="${height}" fill="url(#bg)"/>` +
+      shapes.join('') +
+      '</svg>';
+
+    const sharp = require('sharp');
+    const png = await sharp(Buffer.from(svg)).png().toBuffer();
+    return { url: `data:image/png;base64,${png.toString('base64')}` };
+  }
+}
+
+const PROVIDERS = {
+  fal: FalImageProvider,
+  stub: StubImageProvider
+};
+
+// Register an additional provider implementation under a name
+function registerImageProvider(name, ProviderClass) {
+  PROVIDERS[name] = ProviderClass;
+}
+
+// Create a provider by name; IMAGE_PROVIDER selects it when no name is given
+function createImageProvider(name = process.env.IMAGE_PROVIDER || 'fal', options = {}) {
+  const ProviderClass = PROVIDERS[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown image provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new ProviderClass(options);
+}
+
+// Shared provider instance per model, created on first use
+const providerInstances = new Map();
+
+function getImageProvider(model = DEFAULT_MODEL) {
+  if (!providerInstances.has(model)) {
+    providerInstances.set(model, createImageProvider(undefined, { model }));
+  }
+  return providerInstances.get(model);
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  LEGACY_MODEL,
+  FAL_MODELS,
+  listModels,
+  FalImageProvider,
+  StubImageProvider,
+  registerImageProvider,
+  createImageProvider,
+  getImageProvider
+};
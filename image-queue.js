@@ -1,37 +1,41 @@
-// JavaScript-only queuing system (bypasses database functions)
+// JavaScript-only queuing system (bypasses database functions). Tracks generation
+// jobs and their progress; finished images are cached by image-cache.js.
+const crypto = require('crypto');
+const { getImageCacheKey } = require('./image-cache');
+
 class InMemoryQueue {
   constructor() {
     this.generations = new Map(); // prompt_hash -> generation data
-    this.cache = new Map(); // prompt_hash -> cached URL
+    this.subscribers = new Map(); // prompt_hash -> Set of progress listeners
   }
   
-  generateHash(prompt, dimensions, format) {
-    const crypto = require('crypto');
+  // Jobs generate source images, so they are keyed like the source's image cache
+  // entry: prompt, dimensions, model and seed. The output format is applied when
+  // the image is served, so every format of one image shares a job.
+  generateHash(prompt, dimensions, model, seed = null) {
     return crypto.createHash('sha256')
-      .update(`${prompt}|${dimensions}|${format}`)
+      .update(getImageCacheKey({ prompt, dimensions, model, seed }))
       .digest('hex');
   }
   
-  getCachedImage(prompt, dimensions, format) {
-    const hash = this.generateHash(prompt, dimensions, format);
-    return this.cache.get(hash) || null;
-  }
-  
-  storeCachedImage(prompt, dimensions, format, url) {
-    const hash = this.generateHash(prompt, dimensions, format);
-    this.cache.set(hash, url);
-  }
-  
-  getOrCreateGenerationStatus(prompt, dimensions, format) {
-    const hash = this.generateHash(prompt, dimensions, format);
+  getOrCreateGenerationStatus(prompt, dimensions, model, seed = null) {
+    const hash = this.generateHash(prompt, dimensions, model, seed);
     
     if (!this.generations.has(hash)) {
       this.generations.set(hash, {
         id: hash,
         status: 'pending',
+        prompt,
+        dimensions,
+        model,
+        seed,
         generatedUrl: null,
+        errorMessage: null,
+        queuePosition: null,
+        logs: [],
         totalRequests: 1,
-        createdAt: new Date()
+        createdAt: new Date(),
+        updatedAt: new Date()
       });
     } else {
       const existing = this.generations.get(hash);
@@ -42,16 +46,70 @@ class InMemoryQueue {
     return this.generations.get(hash);
   }
   
-  updateGenerationStatus(hash, status, generatedUrl = null) {
+  updateGenerationStatus(hash, status, generatedUrl = null, errorMessage = null) {
     if (this.generations.has(hash)) {
       const existing = this.generations.get(hash);
       existing.status = status;
       existing.generatedUrl = generatedUrl;
+      existing.errorMessage = errorMessage;
+      existing.updatedAt = new Date();
+      if (status !== 'pending') {
+        existing.queuePosition = null;
+      }
       this.generations.set(hash, existing);
-      
-      // Store in cache when completed
-      if (status === 'completed' && generatedUrl) {
-        this.cache.set(hash, generatedUrl);
+
+      this.publish(hash, { type: status, status, url: generatedUrl, error: errorMessage });
+    }
+  }
+
+  // Record a provider progress update ({ status: 'IN_QUEUE', queuePosition } or
+  // { status: 'IN_PROGRESS', logs }) and relay it to subscribers
+  recordProgress(hash, update) {
+    const existing = this.generations.get(hash);
+    if (!existing) {
+      return;
+    }
+
+    if (update.status === 'IN_QUEUE') {
+      existing.queuePosition = update.queuePosition;
+      this.publish(hash, { type: 'queue', position: update.queuePosition });
+    } else if (update.status === 'IN_PROGRESS') {
+      // Providers resend the full log on every update; relay only the new lines
+      const newLogs = (update.logs || []).slice(existing.logs.length);
+      existing.logs = update.logs || existing.logs;
+      existing.queuePosition = null;
+      newLogs.forEach((message) => this.publish(hash, { type: 'log', message }));
+    }
+  }
+
+  // Listen for status and progress events of one generation; returns an unsubscribe function
+  subscribe(hash, listener) {
+    if (!this.subscribers.has(hash)) {
+      this.subscribers.set(hash, new Set());
+    }
+    this.subscribers.get(hash).add(listener);
+
+    return () => {
+      const listeners = this.subscribers.get(hash);
+      if (listeners) {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          this.subscribers.delete(hash);
+        }
+      }
+    };
+  }
+
+  publish(hash, event) {
+    const listeners = this.subscribers.get(hash);
+    if (!listeners) {
+      return;
+    }
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Generation listener error:', error);
       }
     }
   }
@@ -60,10 +118,17 @@ class InMemoryQueue {
     return this.generations.get(hash) || null;
   }
   
-  clearCache() {
-    this.cache.clear();
-    this.generations.clear();
-    console.log('🧹 Cache cleared');
+  // Forget completed jobs whose image was purged, so the route doesn't serve
+  // their URL again. Returns the number of jobs removed.
+  forgetCompletedGenerations(urls) {
+    let removed = 0;
+    for (const [hash, generation] of this.generations) {
+      if (generation.status === 'completed' && urls.has(generation.generatedUrl)) {
+        this.generations.delete(hash);
+        removed++;
+      }
+    }
+    return removed;
   }
 }
 
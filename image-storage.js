@@ -0,0 +1,357 @@
+// Image storage backends
+//
+// Provider URLs (v3.fal.media, data: URIs from the stub provider) are not ours
+// and eventually expire, so generated images are copied into a storage backend
+// and the rehosted URL is what gets cached and saved as image_generations.public_url.
+//
+// Every backend implements the same interface:
+//   id                              - registry name ('supabase', 'local', 's3')
+//   put(key, buffer, contentType)   -> Promise<{ url }>
+//   remove(keys)                    -> Promise, deletes objects (missing ones are ignored)
+//   keyOf(url)                      - storage key of a URL in this backend, else null
+//   read(url)                       -> Promise<Buffer|null>, bytes of a stored URL
+//                                      without going over HTTP (null when not possible)
+//
+// IMAGE_STORAGE selects the backend: supabase (the default when Supabase is
+// configured), local (the default otherwise), s3 for MinIO or any other
+// S3-compatible service, or none to keep serving provider URLs.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { getContentType, sniffImageFormat, fetchImageBuffer } = require('./image-processing');
+
+// URL path the local backend's files are served under (see server.js)
+const LOCAL_STORAGE_ROUTE = '/stored-images';
+
+// Objects are content-addressed and never change, so they can be cached forever
+const STORAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Startup migrations that try a row before giving up on it (expired provider URLs)
+const MAX_STORAGE_ATTEMPTS = 3;
+
+// Supabase Storage bucket, public like generated-videos
+class SupabaseImageStorage {
+  constructor({ supabase, bucket = process.env.SUPABASE_IMAGE_BUCKET || 'generated-images' }) {
+    if (!supabase) {
+      throw new Error('Supabase image storage needs a configured Supabase client');
+    }
+    this.id = 'supabase';
+    this.supabase = supabase;
+    this.bucket = bucket;
+    this.baseUrl = supabase.storage.from(bucket).getPublicUrl('').data.publicUrl;
+  }
+
+  async put(key, buffer, contentType) {
+    const { error } = await this.supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, cacheControl: '31536000', upsert: true });
+    if (error) {
+      throw new Error(`Supabase Storage upload failed: ${error.message || error}`);
+    }
+    return { url: this.supabase.storage.from(this.bucket).getPublicUrl(key).data.publicUrl };
+  }
+
+  async remove(keys) {
+    const { error } = await this.supabase.storage.from(this.bucket).remove(keys);
+    if (error) {
+      throw new Error(`Supabase Storage delete failed: ${error.message || error}`);
+    }
+  }
+
+  keyOf(url) {
+    return this.baseUrl && url.startsWith(this.baseUrl) ? decodeURIComponent(url.slice(this.baseUrl.length)) : null;
+  }
+
+  async read() {
+    return null;
+  }
+}
+
+// Files on the local disk, served by the app itself; for development.
+// IMAGE_STORAGE_PUBLIC_URL is the server's public origin (localhost:PORT by default).
+class LocalImageStorage {
+  constructor({
+    dir = process.env.IMAGE_STORAGE_DIR || path.join(process.cwd(), 'storage', 'images'),
+    publicUrl = process.env.IMAGE_STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+  } = {}) {
+    this.id = 'local';
+    this.dir = path.resolve(dir);
+    this.baseUrl = `${publicUrl.replace(/\/$/, '')}${LOCAL_STORAGE_ROUTE}/`;
+  }
+
+  async put(key, buffer) {
+    const filePath = path.join(this.dir, key);
+    const tempFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.writeFile(tempFile, buffer);
+      await fs.rename(tempFile, filePath);
+    } catch (error) {
+      fs.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+    return { url: `${this.baseUrl}${key}` };
+  }
+
+  async remove(keys) {
+    await Promise.all(keys.map((key) => fs.unlink(path.join(this.dir, key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    })));
+  }
+
+  keyOf(url) {
+    return url.startsWith(this.baseUrl) ? decodeURIComponent(url.slice(this.baseUrl.length)) : null;
+  }
+
+  async read(url) {
+    const key = this.keyOf(url);
+    if (!key) {
+      return null;
+    }
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(`${this.dir}${path.sep}`)) {
+      return null;
+    }
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// S3-compatible bucket (MinIO in development). The bucket must allow public reads;
+// S3_PUBLIC_URL overrides the <endpoint>/<bucket> URL objects are served from.
+class S3ImageStorage {
+  constructor({
+    endpoint = process.env.S3_ENDPOINT,
+    region = process.env.S3_REGION || 'us-east-1',
+    bucket = process.env.S3_BUCKET || 'generated-images',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL
+  } = {}) {
+    if (!endpoint || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 image storage needs S3_ENDPOINT, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    const { S3Client } = require('@aws-sdk/client-s3');
+    this.id = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      endpoint,
+      region,
+      forcePathStyle: true,
+      credentials: { accessKeyId, secretAccessKey }
+    });
+    this.baseUrl = `${(publicUrl || `${endpoint.replace(/\/$/, '')}/${bucket}`).replace(/\/$/, '')}/`;
+  }
+
+  async put(key, buffer, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: STORAGE_CACHE_CONTROL
+    }));
+    return { url: `${this.baseUrl}${key}` };
+  }
+
+  async remove(keys) {
+    const { DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+    // DeleteObjects takes at most 1000 keys per request
+    for (let start = 0; start < keys.length; start += 1000) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: keys.slice(start, start + 1000).map((key) => ({ Key: key })), Quiet: true }
+      }));
+    }
+  }
+
+  keyOf(url) {
+    return url.startsWith(this.baseUrl) ? decodeURIComponent(url.slice(this.baseUrl.length)) : null;
+  }
+
+  async read() {
+    return null;
+  }
+}
+
+const STORAGE_BACKENDS = {
+  supabase: SupabaseImageStorage,
+  local: LocalImageStorage,
+  s3: S3ImageStorage
+};
+
+// Create the backend named by IMAGE_STORAGE; null when storage is turned off
+function createImageStorage({ supabase = null, name = process.env.IMAGE_STORAGE || (supabase ? 'supabase' : 'local') } = {}) {
+  if (name === 'none') {
+    return null;
+  }
+  const StorageClass = STORAGE_BACKENDS[name];
+  if (!StorageClass) {
+    throw new Error(`Unknown image storage: ${name}. Available: ${Object.keys(STORAGE_BACKENDS).join(', ')}, none`);
+  }
+  return new StorageClass({ supabase });
+}
+
+// Copy an image into storage under <dimensions>/<sha256 of the bytes>.<ext>.
+// Resolves with { url, path, buffer }; URLs already in storage are returned as
+// they are (buffer null). Throws when the source can't be fetched or stored.
+async function rehostImage(storage, sourceUrl, { dimensions }) {
+  if (!storage) {
+    return { url: sourceUrl, path: null, buffer: null };
+  }
+  const storedKey = storage.keyOf(sourceUrl);
+  if (storedKey) {
+    return { url: sourceUrl, path: storedKey, buffer: null };
+  }
+
+  const buffer = await fetchImageBuffer(sourceUrl);
+  const format = sniffImageFormat(buffer) || 'png';
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const key = `${dimensions}/${hash}.${format === 'jpeg' ? 'jpg' : format}`;
+  const { url } = await storage.put(key, buffer, getContentType(format));
+  return { url, path: key, buffer };
+}
+
+// Copy a freshly generated image into storage, seeding byteCache with its bytes
+// under the source|<url> key the image routes read. When storage fails the
+// provider URL is kept so the request still succeeds; the migration retries it.
+// Resolves with the URL to cache and return.
+async function storeGeneratedImage(storage, providerUrl, { dimensions, byteCache = null }) {
+  try {
+    const { url, buffer } = await rehostImage(storage, providerUrl, { dimensions });
+    if (buffer && byteCache) {
+      byteCache.set(`source|${url}`, buffer);
+    }
+    return url;
+  } catch (error) {
+    console.warn('Rehosting generated image failed, keeping provider URL:', error.message);
+    return providerUrl;
+  }
+}
+
+// Delete the stored objects behind purged image URLs. Objects are content-addressed,
+// so one may still be referenced by rows the purge didn't match (another user's
+// generation of the same image); those are kept. Resolves with the number deleted.
+async function deleteStoredImages({ supabase, storage, urls }) {
+  if (!storage) {
+    return 0;
+  }
+  let keys = [...new Set(urls.map((url) => storage.keyOf(url)).filter(Boolean))];
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  if (supabase) {
+    const stillUsed = new Set();
+    // Checked in chunks so the filter stays within URL length limits
+    for (let start = 0; start < keys.length; start += 100) {
+      const { data: referenced, error } = await supabase
+        .from('image_generations')
+        .select('storage_path')
+        .in('storage_path', keys.slice(start, start + 100));
+      if (error) {
+        throw new Error(`Checking stored image references failed: ${error.message}`);
+      }
+      (referenced || []).forEach((row) => stillUsed.add(row.storage_path));
+    }
+    keys = keys.filter((key) => !stillUsed.has(key));
+  }
+
+  if (keys.length > 0) {
+    await storage.remove(keys);
+  }
+  return keys.length;
+}
+
+// Background migration of image_generations rows still pointing at provider URLs.
+// Walks successful rows without a storage_path in id order, rehosting each distinct
+// URL once and updating every row that used it; rows already pointing into storage
+// just get their storage_path. Failures (expired FAL URLs) are recorded in
+// storage_attempts and storage_error; a row is retried on later runs until it has
+// failed MAX_STORAGE_ATTEMPTS times. onRehosted(row, url) is called after each
+// row is updated, so callers can drop stale cache entries.
+async function migrateStoredImages({ supabase, storage, batchSize = 50, onRehosted = null }) {
+  const rehosted = new Map(); // provider URL -> { url, path } or { error }
+  const result = { migrated: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('image_generations')
+      .select('id, prompt, dimensions, model, seed, public_url, storage_attempts')
+      .eq('success', true)
+      .is('storage_path', null)
+      .not('public_url', 'is', null)
+      .lt('storage_attempts', MAX_STORAGE_ATTEMPTS)
+      .order('id', { ascending: true })
+      .limit(batchSize);
+    if (lastId !== null) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data: rows, error } = await query;
+    if (error) {
+      throw new Error(`Loading image_generations failed: ${error.message}`);
+    }
+    if (!rows || rows.length === 0) {
+      return result;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+      if (!rehosted.has(row.public_url)) {
+        try {
+          const { url, path: storagePath } = await rehostImage(storage, row.public_url, { dimensions: row.dimensions });
+          rehosted.set(row.public_url, { url, path: storagePath });
+        } catch (rehostError) {
+          console.warn(`Rehosting generation ${row.id} failed: ${rehostError.message}`);
+          rehosted.set(row.public_url, { error: rehostError.message });
+        }
+      }
+
+      const stored = rehosted.get(row.public_url);
+      if (stored.error) {
+        result.failed++;
+        const { error: updateError } = await supabase
+          .from('image_generations')
+          .update({ storage_attempts: (row.storage_attempts || 0) + 1, storage_error: stored.error })
+          .eq('id', row.id);
+        if (updateError) {
+          console.warn(`Recording failed rehost of generation ${row.id} failed: ${updateError.message}`);
+        }
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from('image_generations')
+        .update({ public_url: stored.url, storage_path: stored.path, storage_error: null })
+        .eq('id', row.id);
+      if (updateError) {
+        console.warn(`Updating generation ${row.id} failed: ${updateError.message}`);
+        result.failed++;
+        continue;
+      }
+
+      result.migrated++;
+      if (onRehosted) {
+        await onRehosted(row, stored.url);
+      }
+    }
+  }
+}
+
+module.exports = {
+  LOCAL_STORAGE_ROUTE,
+  SupabaseImageStorage,
+  LocalImageStorage,
+  S3ImageStorage,
+  createImageStorage,
+  rehostImage,
+  storeGeneratedImage,
+  deleteStoredImages,
+  migrateStoredImages
+};
@@ -4,7 +4,7 @@ const sharp = require('sharp');
 const NodeCache = require('node-cache');
 const cors = require('cors');
 const path = require('path');
-const { fal } = require('@fal-ai/client');
+const { createImageProvider } = require('./image-providers');
 const { supabase, supabaseClient, SupabaseService } = require('./supabase-config');
 
 const app = express();
@@ -23,62 +23,21 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static('public'));
 
-// FAL AI Configuration
-const FAL_KEY = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
+// Image provider (IMAGE_PROVIDER=fal|stub, defaults to FAL AI Nano Banana here)
+const imageProvider = createImageProvider(undefined, { model: 'nano-banana' });
 
-// Configure FAL AI client
-fal.config({
-  credentials: FAL_KEY
-});
-
-// Generate image using FAL AI Nano Banana (Gemini-powered)
-async function generateImageWithFAL(prompt, width = 600, height = 400) {
+// Main image generation function: generate with the provider and download the bytes
+async function generateImage(prompt, width = 600, height = 400) {
   try {
-    console.log(`Generating image with FAL AI: "${prompt}"`);
-    
-    const result = await fal.subscribe("fal-ai/nano-banana", {
-      input: {
-        prompt: prompt,
-        num_images: 1,
-        output_format: "jpeg",
-        sync_mode: false // Get URLs instead of data URIs for better performance
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          console.log('FAL AI Status:', update.logs?.map((log) => log.message).join(', '));
-        }
-      },
+    const { url } = await imageProvider.generate({ prompt, width, height });
+    const imageResponse = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 30000
     });
 
-    console.log('FAL AI Result:', result.data);
-    
-    // Download the image from the URL
-    if (result.data && result.data.images && result.data.images[0] && result.data.images[0].url) {
-      const imageResponse = await axios.get(result.data.images[0].url, {
-        responseType: 'arraybuffer',
-        timeout: 30000
-      });
-      
-      return imageResponse.data;
-    } else {
-      throw new Error('No image URL returned from FAL AI');
-    }
-  } catch (error) {
-    console.error('FAL AI Error:', error.message);
-    throw new Error('Failed to generate image with FAL AI');
-  }
-}
-
-// Main image generation function
-async function generateImage(prompt, width = 600, height = 400) {
-  try {
-    console.log(`Generating image with FAL AI Nano Banana: "${prompt}"`);
-    const imageBuffer = await generateImageWithFAL(prompt, width, height);
-    
-    if (imageBuffer && imageBuffer.length > 0) {
+    if (imageResponse.data && imageResponse.data.length > 0) {
       console.log('✅ Image generated successfully');
-      return imageBuffer;
+      return imageResponse.data;
     } else {
       throw new Error('Empty image buffer returned');
     }
@@ -57,13 +57,17 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static('public'));
 
-// FAL AI Configuration
-const FAL_KEY = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
+// FAL AI Configuration; there is no built-in key
+const FAL_KEY = process.env.FAL_KEY || null;
 
 // Configure FAL AI client
-fal.config({
-  credentials: FAL_KEY
-});
+if (FAL_KEY) {
+  fal.config({
+    credentials: FAL_KEY
+  });
+} else {
+  console.warn('⚠️  FAL_KEY not set: FAL image generation is unavailable');
+}
 
 // Initialize Resend client
 const resend = new Resend(process.env.RESEND_API_KEY || 're_2hjEnGgj_FRr1Zi3CBZEDMmv5PXsYuvnZ');
@@ -3,7 +3,11 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const imageQueue = require('./image-queue');
-const { fal } = require('@fal-ai/client');
+const { createImageProvider } = require('./image-providers');
+const { createImageCache, createImageByteCache } = require('./image-cache');
+const { purgeImages, createCachePurgeHandler } = require('./cache-purge');
+const { getContentType, sniffImageFormat } = require('./image-processing');
+const { LOCAL_STORAGE_ROUTE, createImageStorage, storeGeneratedImage } = require('./image-storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -131,20 +135,24 @@ try {
       }
     }
     
-    // Deduct credits from user
-    static async deductCredits(userId, amount = 1) {
+    // Deduct credits from user; throws 'Insufficient credits' when they have too few
+    static async deductCredits(userId, amount = 1, description = 'Image generation') {
       if (!supabase) throw new Error('Supabase not available');
       
       try {
         const { data, error } = await supabase.rpc('use_credits', {
           p_user_id: userId,
-          p_amount: amount
+          p_amount: amount,
+          p_description: description
         });
         
         if (error) {
           console.error('Error deducting credits:', error);
           throw new Error(`Failed to deduct credits: ${error.message}`);
         }
+        if (!data) {
+          throw new Error('Insufficient credits');
+        }
         
         return data;
       } catch (error) {
@@ -279,7 +287,7 @@ try {
     }
     
     // Log image generation (simplified to avoid database errors)
-    static async logImageGeneration(userId, apiKeyId, prompt, dimensions, success, errorMessage = null) {
+    static async logImageGeneration(userId, apiKeyId, prompt, dimensions, success, errorMessage = null, seed = null, publicUrl = null, storagePath = null, model = null) {
       if (!supabase) return;
       
       try {
@@ -291,8 +299,12 @@ try {
             api_key_id: apiKeyId,
             prompt: prompt,
             dimensions: dimensions,
+            model: model,
+            seed: seed,
             success: success,
             error_message: errorMessage,
+            public_url: publicUrl,
+            storage_path: storagePath,
             created_at: new Date().toISOString()
           });
         
@@ -476,52 +488,18 @@ try {
   console.log('✅ Simplified SupabaseService created');
 }
 
-// FAL AI Configuration
-const FAL_KEY = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
+// Image provider (IMAGE_PROVIDER=fal|stub, defaults to FAL AI Seedream v4)
+const imageProvider = createImageProvider();
 
-// Configure FAL AI client
-fal.config({
-  credentials: FAL_KEY
-});
+// Generated images, memory -> disk -> image_generations; same keys as server.js,
+// so both servers find each other's generations (see image-cache.js)
+const imageCache = createImageCache({ supabase });
+const imageBytes = createImageByteCache();
 
-// Generate image using FAL AI Seedream v4
-async function generateImageWithFAL(prompt, width = 1024, height = 1024) {
-  try {
-    console.log(`🎨 Generating image with Seedream v4: "${prompt}"`);
-
-    const result = await fal.subscribe("fal-ai/bytedance/seedream/v4/text-to-image", {
-      input: {
-        prompt: prompt,
-        image_size: {
-          width: width,
-          height: height
-        },
-        num_images: 1,
-        max_images: 1,
-        enable_safety_checker: false, // Disable safety checker for NSFW content
-        sync_mode: false // Get URLs instead of data URIs for better performance
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          console.log('📊 Seedream v4 Status:', update.logs?.map((log) => log.message).join(', '));
-        }
-      }
-    });
-
-    console.log('✅ FAL AI Result:', result.data);
-
-    if (result.data && result.data.images && result.data.images.length > 0) {
-      const falUrl = result.data.images[0].url;
-      console.log(`✅ FAL AI generated image URL: ${falUrl}`);
-      return falUrl;
-    } else {
-      throw new Error('No image URL returned from FAL AI');
-    }
-  } catch (error) {
-    console.error('❌ FAL AI Error:', error.message);
-    throw new Error('Failed to generate image with FAL AI');
-  }
+// Generated images are rehosted here instead of serving FAL URLs (see image-storage.js)
+const imageStorage = createImageStorage({ supabase });
+if (imageStorage && imageStorage.id === 'local') {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(imageStorage.dir, { immutable: true, maxAge: '1y' }));
 }
 
 // Helper function to serve image directly at the same URL
@@ -542,19 +520,31 @@ async function serveImage(res, imageUrl) {
       actualImageUrl = imageUrl;
     }
     
-    console.log(`📥 Fetching image from: ${actualImageUrl}`);
+    // Bytes kept on local disk skip the FAL.media fetch entirely
+    const byteKey = `source|${actualImageUrl}`;
+    let imageBuffer = await imageBytes.get(byteKey);
     
-    // Fetch the image from FAL.media
-    const response = await fetch(actualImageUrl);
+    if (!imageBuffer && imageStorage) {
+      imageBuffer = await imageStorage.read(actualImageUrl);
+    }
     
-    if (!response.ok) {
-      console.error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-      return res.status(404).json({ error: 'Image not found' });
+    if (!imageBuffer) {
+      console.log(`📥 Fetching image from: ${actualImageUrl}`);
+      
+      // Fetch the image from FAL.media
+      const response = await fetch(actualImageUrl);
+      
+      if (!response.ok) {
+        console.error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      
+      imageBuffer = Buffer.from(await response.arrayBuffer());
+      imageBytes.set(byteKey, imageBuffer);
     }
     
-    // Get the image data
-    const imageBuffer = await response.arrayBuffer();
-    const contentType = response.headers.get('content-type') || 'image/png';
+    const format = sniffImageFormat(imageBuffer);
+    const contentType = format ? getContentType(format) : 'image/png';
     
     console.log(`✅ Serving image directly at original URL (${imageBuffer.byteLength} bytes, ${contentType})`);
     
@@ -567,7 +557,7 @@ async function serveImage(res, imageUrl) {
     });
     
     // Send the image data directly - NO REDIRECT
-    res.send(Buffer.from(imageBuffer));
+    res.send(imageBuffer);
     
   } catch (error) {
     console.error('Error serving image:', error);
@@ -575,51 +565,24 @@ async function serveImage(res, imageUrl) {
   }
 }
 
-// Image proxy endpoint - serves images from FAL.media through your domain
+// Image proxy endpoint - serves FAL.media images handed out before generations
+// were rehosted in imageStorage; bytes come from the byte cache once fetched
 app.get('/proxy/:imageId', async (req, res) => {
-  try {
-    const { imageId } = req.params;
-    const imageUrl = `https://v3.fal.media/files/${imageId}`;
-    
-    console.log(`🖼️ Proxying image: ${imageUrl}`);
-    
-    // Fetch the image from FAL.media
-    const response = await fetch(imageUrl);
-    
-    if (!response.ok) {
-      return res.status(404).json({ error: 'Image not found' });
-    }
-    
-    // Set appropriate headers
-    res.set({
-      'Content-Type': response.headers.get('content-type') || 'image/png',
-      'Cache-Control': 'public, max-age=31536000', // Cache for 1 year
-      'Access-Control-Allow-Origin': '*'
-    });
-    
-    // Stream the image data
-    response.body.pipe(res);
-    
-  } catch (error) {
-    console.error('Error proxying image:', error);
-    res.status(500).json({ error: 'Failed to proxy image' });
-  }
+  await serveImage(res, `/proxy/${req.params.imageId}`);
 });
 
-// Cache management endpoint
-app.get('/clear-cache', (req, res) => {
-  try {
-    imageQueue.clearCache();
-    res.json({ 
-      status: 'success', 
-      message: 'Cache cleared successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error clearing cache:', error);
-    res.status(500).json({ error: 'Failed to clear cache' });
-  }
-});
+// Admin-only cache purge (see cache-purge.js); completed queue jobs for purged
+// images are forgotten so the image route doesn't serve their URL again
+app.post('/api/admin/cache/purge', createCachePurgeHandler({
+  auth: supabase?.auth,
+  purge: (selector) => purgeImages(selector, {
+    imageCache,
+    byteCache: imageBytes,
+    storage: imageStorage,
+    supabase,
+    purgeDerived: ({ urls }) => ({ removed: { jobs: imageQueue.forgetCompletedGenerations(urls) } })
+  })
+}));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -634,7 +597,9 @@ app.get('/health', (req, res) => {
       supabaseUrl: process.env.SUPABASE_URL ? 'Set' : 'Missing',
       supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Set' : 'Missing',
       supabaseAnonKey: process.env.SUPABASE_ANON_KEY ? 'Set' : 'Missing'
-    }
+    },
+    cache: imageCache.stats(),
+    byteCache: imageBytes.stats()
   });
 });
 
@@ -1048,6 +1013,18 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
       return res.status(400).json({ error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' });
     }
 
+    // Optional deterministic seed; part of the queue hash so each seed is its own image
+    let seed = null;
+    if (req.query.seed !== undefined) {
+      seed = parseInt(req.query.seed);
+      if (!/^\d+$/.test(req.query.seed) || seed > 2147483647) {
+        return res.status(400).json({ error: 'Invalid seed. Must be an integer between 0 and 2147483647' });
+      }
+      if (!imageProvider.capabilities().seed) {
+        return res.status(400).json({ error: `Invalid seed. Model ${imageProvider.model} does not support seeds` });
+      }
+    }
+
     // Check API key if provided
     let userId = null;
     let apiKeyData = null;
@@ -1064,8 +1041,8 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
     
     console.log(`🎯 Request for prompt: "${prompt}" (${dimensions}.${format})`);
     
-    // 🚀 STEP 1: Check cache first (fastest response) - JavaScript queue
-    const cachedUrl = imageQueue.getCachedImage(prompt, dimensions, format);
+    // 🚀 STEP 1: Check cache first (fastest response) - memory, disk, then image_generations
+    const cachedUrl = (await imageCache.get({ prompt, dimensions, seed }))?.url;
     if (cachedUrl) {
       console.log(`✅ Cache HIT! Returning cached image for prompt: "${prompt}"`);
       console.log(`💰 SAVED: No API call needed - cost avoided!`);
@@ -1079,7 +1056,11 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
             prompt, 
             dimensions, 
             true,
-            'Cache hit - no API call'
+            'Cache hit - no API call',
+            seed,
+            null,
+            null,
+            imageProvider.model
           );
         } catch (logError) {
           console.error('Error logging cache hit:', logError);
@@ -1090,7 +1071,7 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
     }
     
     // 🚀 STEP 2: Check generation status (queuing system) - JavaScript queue
-    const generationStatus = imageQueue.getOrCreateGenerationStatus(prompt, dimensions, format);
+    const generationStatus = imageQueue.getOrCreateGenerationStatus(prompt, dimensions, imageProvider.model, seed);
     
     if (!generationStatus) {
       console.error('Failed to get/create generation status');
@@ -1105,8 +1086,8 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
         console.log(`✅ Generation COMPLETED! Returning generated image for prompt: "${prompt}"`);
         console.log(`💰 SAVED: ${generationStatus.totalRequests - 1} duplicate API calls avoided!`);
         
-        // Store in cache for future requests (JavaScript queue)
-        imageQueue.storeCachedImage(prompt, dimensions, format, generationStatus.generatedUrl);
+        // Store in cache for future requests
+        await imageCache.set({ prompt, dimensions, seed }, { url: generationStatus.generatedUrl, createdAt: generationStatus.updatedAt.toISOString() });
         
         return await serveImage(res, generationStatus.generatedUrl);
         
@@ -1122,7 +1103,7 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
       case 'pending':
         console.log(`🚀 Starting NEW generation for prompt: "${prompt}" (${generationStatus.totalRequests} requests queued)`);
         // Start generation process
-        return await startGenerationProcess(generationStatus.id, prompt, dimensions, format, userId, apiKeyData, res);
+        return await startGenerationProcess(generationStatus, prompt, dimensions, seed, userId, apiKeyData, res);
         
       default:
         console.error(`Unknown generation status: ${generationStatus.status}`);
@@ -1159,6 +1140,13 @@ async function waitForGenerationCompletion(statusId, res) {
       return res.status(500).json({ error: status.errorMessage || 'Image generation failed' });
     }
     
+    // The request that reserved it could not be charged and released it
+    if (status.status === 'pending') {
+      console.log(`↩️  Generation released after ${waitTime}ms wait`);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Image generation was not started - please try again' });
+    }
+    
     // Still generating, wait and poll again
     await new Promise(resolve => setTimeout(resolve, pollInterval));
     waitTime += pollInterval;
@@ -1169,29 +1157,76 @@ async function waitForGenerationCompletion(statusId, res) {
   return res.status(504).json({ error: 'Generation timeout - please try again' });
 }
 
-// Function to start generation process
-async function startGenerationProcess(statusId, prompt, dimensions, format, userId, apiKeyData, res) {
+// Charge one credit for a generation that is about to start (see reserveGeneration).
+// Resolves with null, or with { status, error } when the user can't be charged.
+async function chargeGenerationCredit(userId) {
+  try {
+    const remainingCredits = await SupabaseService.deductCredits(userId, 1);
+    console.log(`💰 Credits deducted. Remaining credits: ${remainingCredits}`);
+    return null;
+  } catch (creditError) {
+    if (creditError.message === 'Insufficient credits') {
+      return { status: 402, error: 'Insufficient credits. Please purchase more credits.' };
+    }
+    console.error('Error deducting credits:', creditError);
+    return { status: 500, error: 'Failed to deduct credits' };
+  }
+}
+
+// Give back the credit charged for a generation that failed
+async function refundGenerationCredit(userId) {
+  if (!supabase) {
+    console.error(`Cannot refund generation credit for user ${userId}: Supabase not available`);
+    return;
+  }
+  
+  const { error } = await supabase.rpc('add_credits', {
+    p_user_id: userId,
+    p_amount: 1,
+    p_description: 'Image generation refund'
+  });
+  if (error) {
+    console.error('Error refunding generation credit:', error);
+  } else {
+    console.log(`💰 Refunded generation credit to user ${userId}`);
+  }
+}
+
+// Reserve a 'pending' or 'failed' queue entry and charge for it. The entry turns
+// 'generating' before the first await, so concurrent requests for the same image
+// wait on it instead of charging and generating again. Authenticated users then
+// pay one credit; when they can't, the entry goes back to its previous status.
+// Resolves with null, or with { status, error } when the charge failed.
+async function reserveGeneration(job, userId) {
+  const { status: previousStatus, errorMessage: previousError } = job;
+  imageQueue.updateGenerationStatus(job.id, 'generating');
+  
+  const chargeError = userId ? await chargeGenerationCredit(userId) : null;
+  if (chargeError) {
+    imageQueue.updateGenerationStatus(job.id, previousStatus, null, previousError);
+  }
+  return chargeError;
+}
+
+// Run one generation for a queue entry reserved with reserveGeneration: call the
+// provider, cache and log the result. Resolves with the generated URL; the queue
+// entry ends up 'completed' or 'failed' either way, and a failed generation is
+// refunded to the user who paid for it.
+async function runGeneration(statusId, prompt, dimensions, seed, userId, apiKeyData) {
   try {
-    // Update status to 'generating' (JavaScript queue)
-    imageQueue.updateGenerationStatus(statusId, 'generating');
-    
     console.log(`🎨 Starting image generation for prompt: "${prompt}"`);
     const startTime = Date.now();
     
-    // Deduct credits before generation (only for authenticated users)
-    if (userId) {
-      try {
-        const remainingCredits = await SupabaseService.deductCredits(userId, 1);
-        console.log(`💰 Credits deducted. Remaining credits: ${remainingCredits}`);
-      } catch (creditError) {
-        console.error('Error deducting credits:', creditError);
-        // Continue with generation even if credit deduction fails
-      }
-    }
-    
-    // Generate image using FAL AI Seedream v4
+    // Generate image with the configured provider
     const [width, height] = dimensions.split('x').map(Number);
-    const generatedUrl = await generateImageWithFAL(prompt, width, height);
+    const { url: providerUrl } = await imageProvider.generate({
+      prompt,
+      width,
+      height,
+      seed,
+      onProgress: (update) => imageQueue.recordProgress(statusId, update)
+    });
+    const generatedUrl = await storeGeneratedImage(imageStorage, providerUrl, { dimensions, byteCache: imageBytes });
     
     const generationTime = Date.now() - startTime;
     
@@ -1200,8 +1235,8 @@ async function startGenerationProcess(statusId, prompt, dimensions, format, user
     
     console.log(`✅ Generation completed in ${generationTime}ms for prompt: "${prompt}"`);
     
-    // Store in cache for future requests (JavaScript queue)
-    imageQueue.storeCachedImage(prompt, dimensions, format, generatedUrl);
+    // Store in cache for future requests
+    await imageCache.set({ prompt, dimensions, seed }, { url: generatedUrl, createdAt: new Date().toISOString() });
     console.log(`💾 Cached generated image for prompt: "${prompt}"`);
     
     // Log the generation if user is authenticated
@@ -1212,25 +1247,195 @@ async function startGenerationProcess(statusId, prompt, dimensions, format, user
           apiKeyData?.id,
           prompt, 
           dimensions, 
-          true
+          true,
+          null,
+          seed,
+          generatedUrl,
+          imageStorage ? imageStorage.keyOf(generatedUrl) : null,
+          imageProvider.model
         );
       } catch (logError) {
         console.error('Error logging generation:', logError);
       }
     }
     
-    return await serveImage(res, generatedUrl);
+    return generatedUrl;
     
   } catch (error) {
     console.error('Error in generation process:', error);
     
     // Update status to 'failed' (JavaScript queue)
-    imageQueue.updateGenerationStatus(statusId, 'failed');
+    imageQueue.updateGenerationStatus(statusId, 'failed', null, error.message);
+    
+    if (userId) {
+      await refundGenerationCredit(userId);
+    }
     
+    throw error;
+  }
+}
+
+// Function to start generation process and serve the result on this request
+async function startGenerationProcess(job, prompt, dimensions, seed, userId, apiKeyData, res) {
+  const chargeError = await reserveGeneration(job, userId);
+  if (chargeError) {
+    const { status, ...body } = chargeError;
+    return res.status(status).json(body);
+  }
+  
+  try {
+    const generatedUrl = await runGeneration(job.id, prompt, dimensions, seed, userId, apiKeyData);
+    return await serveImage(res, generatedUrl);
+  } catch (error) {
     return res.status(500).json({ error: 'Image generation failed' });
   }
 }
 
+// Public view of a queue entry for the generations API
+function formatGenerationJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    prompt: job.prompt,
+    dimensions: job.dimensions,
+    model: job.model,
+    seed: job.seed,
+    queue_position: job.queuePosition,
+    url: job.status === 'completed' ? job.generatedUrl : null,
+    error: job.status === 'failed' ? (job.errorMessage || 'Image generation failed') : null,
+    status_url: `/api/generations/${job.id}`,
+    created_at: job.createdAt.toISOString(),
+    updated_at: job.updatedAt.toISOString()
+  };
+}
+
+// Async generation jobs: returns a job ID right away instead of holding the
+// connection open for the whole provider call. Poll GET /api/generations/:id.
+app.post('/api/generations', async (req, res) => {
+  try {
+    const { prompt: text, width, height, seed: seedParam } = req.body || {};
+    const format = req.body?.format || 'jpg';
+    const api_key = req.body?.api_key || req.query.api_key;
+
+    // Validate dimensions
+    const w = parseInt(width);
+    const h = parseInt(height);
+
+    if (!Number.isInteger(w) || !Number.isInteger(h) || w < 1 || w > 2048 || h < 1 || h > 2048) {
+      return res.status(400).json({ error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' });
+    }
+
+    if (!['jpg', 'jpeg', 'png', 'webp'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be one of: jpg, jpeg, png, webp' });
+    }
+
+    let seed = null;
+    if (seedParam !== undefined && seedParam !== null) {
+      seed = parseInt(seedParam);
+      if (!/^\d+$/.test(String(seedParam)) || seed > 2147483647) {
+        return res.status(400).json({ error: 'Invalid seed. Must be an integer between 0 and 2147483647' });
+      }
+    }
+
+    // Check API key if provided
+    let userId = null;
+    let apiKeyData = null;
+    if (api_key) {
+      apiKeyData = await SupabaseService.validateApiKey(api_key);
+      if (!apiKeyData) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      userId = apiKeyData.user_id;
+    }
+
+    const prompt = text || `A beautiful ${w}x${h} placeholder image`;
+    const dimensions = `${w}x${h}`;
+
+    // Same prompt hash as the image route, so jobs and image URLs share one generation
+    const cachedUrl = (await imageCache.get({ prompt, dimensions, seed }))?.url;
+    const job = imageQueue.getOrCreateGenerationStatus(prompt, dimensions, imageProvider.model, seed);
+    if (cachedUrl && job.status !== 'completed') {
+      imageQueue.updateGenerationStatus(job.id, 'completed', cachedUrl);
+    } else if (!cachedUrl && (job.status === 'pending' || job.status === 'failed')) {
+      // Failed jobs are retried when submitted again
+      const chargeError = await reserveGeneration(job, userId);
+      if (chargeError) {
+        const { status, ...body } = chargeError;
+        return res.status(status).json(body);
+      }
+      console.log(`🚀 Starting background generation job ${job.id} for prompt: "${prompt}"`);
+      runGeneration(job.id, prompt, dimensions, seed, userId, apiKeyData)
+        .catch((error) => console.error(`Generation job ${job.id} failed:`, error.message));
+    }
+
+    const status = imageQueue.getGenerationStatusById(job.id);
+    res.status(status.status === 'completed' ? 200 : 202)
+      .location(`/api/generations/${job.id}`)
+      .json(formatGenerationJob(status));
+  } catch (error) {
+    console.error('Error creating generation job:', error);
+    res.status(500).json({ error: 'Failed to create generation job' });
+  }
+});
+
+// Poll a generation job: pending, generating, completed (with url) or failed (with error)
+app.get('/api/generations/:id', (req, res) => {
+  const job = imageQueue.getGenerationStatusById(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Generation not found' });
+  }
+  res.json(formatGenerationJob(job));
+});
+
+// Server-Sent Events progress stream for a generation job. Emits a 'status'
+// snapshot first, then 'queue', 'log', 'generating', and finally 'completed' or
+// 'failed', after which the stream closes. Any number of clients can listen.
+app.get('/api/generations/:id/events', (req, res) => {
+  const job = imageQueue.getGenerationStatusById(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Generation not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  sendEvent('status', formatGenerationJob(job));
+  if (job.status === 'completed' || job.status === 'failed') {
+    return res.end();
+  }
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = imageQueue.subscribe(job.id, (event) => {
+    const { type, ...data } = event;
+    sendEvent(type, type === 'completed' || type === 'failed'
+      ? formatGenerationJob(imageQueue.getGenerationStatusById(job.id))
+      : data);
+
+    if (type === 'completed' || type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
 // Error handling
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -4,7 +4,7 @@ const sharp = require('sharp');
 const NodeCache = require('node-cache');
 const cors = require('cors');
 const path = require('path');
-const { fal } = require('@fal-ai/client');
+const { createImageProvider } = require('./image-providers');
 const { supabase, supabaseClient, SupabaseService } = require('./supabase-config');
 const StripeService = require('./stripe-config');
 
@@ -24,46 +24,8 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static('public'));
 
-// FAL AI Configuration
-const FAL_KEY = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
-
-// Configure FAL AI client
-fal.config({
-  credentials: FAL_KEY
-});
-
-// Generate image using FAL AI Nano Banana (Gemini-powered)
-async function generateImageWithFAL(prompt, width = 600, height = 400) {
-  try {
-    console.log(`Generating image with FAL AI: "${prompt}"`);
-    
-    const result = await fal.subscribe("fal-ai/nano-banana", {
-      input: {
-        prompt: prompt,
-        num_images: 1,
-        output_format: "jpeg",
-        sync_mode: false // Get URLs instead of data URIs for better performance
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          console.log('FAL AI Status:', update.logs?.map((log) => log.message).join(', '));
-        }
-      }
-    });
-
-    console.log('FAL AI Result:', result);
-    
-    if (result && result.images && result.images.length > 0) {
-      return result.images[0].url;
-    } else {
-      throw new Error('No image generated by FAL AI');
-    }
-  } catch (error) {
-    console.error('FAL AI Error:', error);
-    throw error;
-  }
-}
+// Image provider (IMAGE_PROVIDER=fal|stub, defaults to FAL AI Nano Banana here)
+const imageProvider = createImageProvider(undefined, { model: 'nano-banana' });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -71,7 +33,8 @@ app.get('/health', (req, res) => {
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     services: {
-      fal: !!FAL_KEY,
+      fal: imageProvider.id === 'fal' && imageProvider.isConfigured,
+      imageProvider: imageProvider.id,
       supabase: !!supabase,
       stripe: StripeService.isConfigured
     }
@@ -879,6 +842,17 @@ async function handleInvoicePaymentFailed(invoice) {
   }
 }
 
+// Redirect to a generated image. data: URIs (the stub provider) are sent inline
+// instead, since browsers refuse to follow redirects to them.
+function sendGeneratedImage(res, imageUrl) {
+  const dataUri = /^data:([^;,]+);base64,(.*)$/.exec(imageUrl);
+  if (!dataUri) {
+    return res.redirect(imageUrl);
+  }
+  res.set('Content-Type', dataUri[1]);
+  res.send(Buffer.from(dataUri[2], 'base64'));
+}
+
 // Image generation endpoint with credit checking
 app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, res) => {
   try {
@@ -916,7 +890,7 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
     const cachedImage = imageCache.get(cacheKey);
     if (cachedImage) {
       console.log('Serving cached image');
-      return res.redirect(cachedImage);
+      return sendGeneratedImage(res, cachedImage);
     }
 
     // Check credits if user is authenticated
@@ -955,7 +929,7 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
 
     // Generate image
     console.log(`Generating ${w}x${h} image with prompt: "${prompt}"`);
-    const imageUrl = await generateImageWithFAL(prompt, w, h);
+    const { url: imageUrl } = await imageProvider.generate({ prompt, width: w, height: h });
 
     // Cache the result
     imageCache.set(cacheKey, imageUrl);
@@ -991,7 +965,7 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
       }
     }
 
-    res.redirect(imageUrl);
+    sendGeneratedImage(res, imageUrl);
   } catch (error) {
     console.error('Image generation error:', error);
     
@@ -9,10 +9,18 @@ const NodeCache = require('node-cache');
 const cors = require('cors');
 const path = require('path');
 const { spawn } = require('child_process');
-const { fal } = require('@fal-ai/client');
+const crypto = require('crypto');
 const { supabase, supabaseClient, SupabaseService } = require('./supabase-config');
+const { DEFAULT_MODEL, LEGACY_MODEL, FAL_MODELS, listModels, getImageProvider } = require('./image-providers');
+const { listStylePresets, applyStylePreset } = require('./style-presets');
+const { generateWebhookSecret, validateWebhookUrl, WebhookService } = require('./webhooks');
+const { createImageCache, createImageByteCache, createRenderedCache, getImageCacheKey } = require('./image-cache');
+const { purgeImages, createCachePurgeHandler } = require('./cache-purge');
+const { LOCAL_STORAGE_ROUTE, createImageStorage, storeGeneratedImage, migrateStoredImages } = require('./image-storage');
+const { OUTPUT_FORMATS, MAX_DIMENSION, MAX_DPR, getContentType, negotiateFormat, getProviderSize, resolveDpr, getScaledSize, parseOutputOptions, getRenderKey, fetchImageBuffer, transcodeImage, renderErrorImage, renderPendingPlaceholder, computeBlurhash, computeLqip, computePalette, PALETTE_MIN_COLORS, PALETTE_MAX_COLORS } = require('./image-processing');
 const StripeService = new (require('./stripe-config'))();
 const ResendService = require('./resend-config');
+const archiver = require('archiver');
 
 // Helper function to validate tokens (both Supabase and custom session tokens)
 async function validateToken(token) {
@@ -72,10 +80,27 @@ console.log('SUPABASE_URL:', process.env.SUPABASE_URL ? 'Set' : 'Missing');
 console.log('SUPABASE_ANON_KEY:', process.env.SUPABASE_ANON_KEY ? 'Set' : 'Missing');
 console.log('SUPABASE_SERVICE_ROLE_KEY:', process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Set' : 'Missing');
 console.log('FAL_KEY:', process.env.FAL_KEY ? 'Set' : 'Missing');
+console.log('IMAGE_PROVIDER:', process.env.IMAGE_PROVIDER || 'fal (default)');
 console.log('STRIPE_SECRET_KEY:', process.env.STRIPE_SECRET_KEY ? 'Set' : 'Missing');
 
-// Cache for generated images (24 hour TTL)
-const imageCache = new NodeCache({ stdTTL: 86400 });
+// Generated source images, memory -> disk -> image_generations (see image-cache.js);
+// entries are { url, createdAt }
+const imageCache = createImageCache({ supabase });
+
+// Data derived from a source image: palettes and mp4 base images (24 hour TTL)
+const derivedCache = new NodeCache({ stdTTL: 86400 });
+
+// Transcoded outputs and previews, keyed per format and encoder options: an LRU
+// capped at RENDERED_CACHE_MB (1 hour TTL) in front of imageBytes
+const renderedCache = createRenderedCache();
+
+// Source and transcoded image bytes on disk, LRU-evicted past IMAGE_BYTE_CACHE_MB,
+// so cache hits don't refetch (possibly expired) provider URLs
+const imageBytes = createImageByteCache();
+
+// Our own copy of every generated image (IMAGE_STORAGE, see image-storage.js);
+// null keeps provider URLs
+const imageStorage = createImageStorage({ supabase });
 
 // Middleware
 app.use(cors({
@@ -145,82 +170,44 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async
 
 app.use(express.json());
 app.use(express.static('public'));
-
-// FAL AI Configuration
-const FAL_KEY = process.env.FAL_KEY || '789ca5d1-1581-44e1-89c5-c2a91f6e26f3:1e7597e245d48ad2f5a521334a140e32';
-
-// Configure FAL AI client
-fal.config({
-  credentials: FAL_KEY
-});
-
-// Generate image using FAL AI Seedream v4
-async function generateImageWithFAL(prompt, width = 1024, height = 1024) {
-  try {
-    console.log(`Generating image with Seedream v4: "${prompt}"`);
-
-    const result = await fal.subscribe("fal-ai/bytedance/seedream/v4/text-to-image", {
-      input: {
-        prompt: prompt,
-        image_size: {
-          width: width,
-          height: height
-        },
-        num_images: 1,
-        max_images: 1,
-        enable_safety_checker: false, // Disable safety checker for NSFW content
-        sync_mode: false // Get URLs instead of data URIs for better performance
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          console.log('Seedream v4 Status:', update.logs?.map((log) => log.message).join(', '));
-        }
-      }
-    });
-
-    console.log('Seedream v4 Result:', result);
-
-    // Seedream v4 response structure: result.data.images or result.images
-    const images = result.data?.images || result.images;
-
-    if (images && images.length > 0) {
-      const image = images[0];
-      console.log('First image object:', image);
-
-      // Seedream v4 uses 'url' property for the image URL
-      const imageUrl = image.url;
-
-      if (imageUrl) {
-        console.log('Found Seedream v4 image URL:', imageUrl);
-        return imageUrl;
-      } else {
-        console.log('No URL found in Seedream v4 image object:', Object.keys(image));
-        throw new Error('No image URL found in Seedream v4 response');
-      }
-    } else {
-      console.log('No images found in Seedream v4 result. Result structure:', JSON.stringify(result, null, 2));
-      throw new Error('No image generated by Seedream v4');
-    }
-  } catch (error) {
-    console.error('Seedream v4 Error:', error);
-    throw error;
-  }
+if (imageStorage && imageStorage.id === 'local') {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(imageStorage.dir, { immutable: true, maxAge: '1y' }));
 }
 
+// Image provider for the default model (IMAGE_PROVIDER=fal|stub, defaults to FAL AI Seedream v4);
+// the image route picks a per-request model with ?model=
+const imageProvider = getImageProvider();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     services: {
-      fal: !!FAL_KEY,
+      fal: imageProvider.id === 'fal' && imageProvider.isConfigured,
+      imageProvider: imageProvider.id,
       supabase: !!supabase,
       stripe: StripeService.isConfigured
-    }
+    },
+    cache: imageCache.stats(),
+    byteCache: imageBytes.stats(),
+    renderedCache: renderedCache.stats()
   });
 });
 
+// Completion webhooks for generations made with an API key
+const webhooks = new WebhookService(supabase);
+
+// Style preset catalog for the ?style= option of the image route
+app.get('/api/styles', (req, res) => {
+  res.json({ styles: listStylePresets() });
+});
+
+// Model catalog for the ?model= option of the image route
+app.get('/api/models', (req, res) => {
+  res.json({ default: DEFAULT_MODEL, models: listModels() });
+});
+
 // Serve static pages
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -834,6 +821,123 @@ app.get('/api/user/api-keys', async (req, res) => {
   }
 });
 
+// Look up an active API key owned by the user behind a bearer token
+async function getOwnedApiKey(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return { status: 401, error: 'No token provided' };
+  }
+
+  const tokenValidation = await validateToken(token);
+  if (!tokenValidation) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, webhook_url, webhook_secret')
+    .eq('id', req.params.id)
+    .eq('user_id', tokenValidation.userId)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !apiKey) {
+    return { status: 404, error: 'API key not found' };
+  }
+
+  return { apiKey };
+}
+
+// Register or update the completion webhook of an API key. A signing secret is
+// created on first registration and kept on updates unless rotate_secret is set.
+app.put('/api/user/api-keys/:id/webhook', async (req, res) => {
+  try {
+    const { apiKey, status, error } = await getOwnedApiKey(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { url, rotate_secret } = req.body || {};
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const webhookSecret = rotate_secret || !apiKey.webhook_secret
+      ? generateWebhookSecret()
+      : apiKey.webhook_secret;
+
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update({ webhook_url: url, webhook_secret: webhookSecret })
+      .eq('id', apiKey.id);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    res.json({ webhook_url: url, webhook_secret: webhookSecret });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/user/api-keys/:id/webhook', async (req, res) => {
+  try {
+    const { apiKey, status, error } = await getOwnedApiKey(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update({ webhook_url: null, webhook_secret: null })
+      .eq('id', apiKey.id);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Webhook delivery log for an API key, newest first
+app.get('/api/user/api-keys/:id/webhook-deliveries', async (req, res) => {
+  try {
+    const { apiKey, status, error } = await getOwnedApiKey(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, event, url, status, attempts, response_status, last_error, next_retry_at, delivered_at, created_at, payload')
+      .eq('api_key_id', apiKey.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: deliveries, error: deliveriesError } = await query;
+    if (deliveriesError) {
+      throw deliveriesError;
+    }
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/api/user/image-generations', async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
@@ -1639,83 +1743,647 @@ async function handleInvoicePaymentFailed(invoice) {
   }
 }
 
-// Image generation endpoint with credit checking
-app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, res) => {
-  try {
-    const { width, height, format } = req.params;
-    const { text, api_key } = req.query;
+// Strong ETag from a hash of the response body
+function getContentEtag(buffer) {
+  return `"${crypto.createHash('sha256').update(buffer).digest('base64url').slice(0, 32)}"`;
+}
 
-    // Validate dimensions
-    const w = parseInt(width);
-    const h = parseInt(height);
+// Set validators (ETag, Last-Modified from the generation time) and answer
+// If-None-Match / If-Modified-Since with 304. Returns true when the 304 was sent.
+function sendNotModifiedIfFresh(req, res, { etag, lastModified }) {
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
 
-    if (w < 1 || w > 2048 || h < 1 || h > 2048) {
-      return res.status(400).json({ error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' });
+// Send encoded image bytes with the headers shared by every image response.
+// lastModified is when the source image was generated, if known.
+function sendImageBuffer(res, buffer, format, cacheStatus, lastModified = null) {
+  res.set({
+    'Content-Type': getContentType(format),
+    'Cache-Control': 'public, max-age=31536000', // 1 year cache
+    'Access-Control-Allow-Origin': '*',
+    'X-Cache-Status': cacheStatus
+  });
+  if (sendNotModifiedIfFresh(res.req, res, { etag: getContentEtag(buffer), lastModified })) {
+    return;
+  }
+  res.set('Content-Length', String(buffer.length));
+  return res.send(buffer);
+}
+
+// Source image bytes, from the disk byte cache when they were fetched before
+async function fetchSourceBuffer(sourceUrl) {
+  const key = `source|${sourceUrl}`;
+  let buffer = await imageBytes.get(key);
+  if (!buffer) {
+    buffer = (imageStorage && await imageStorage.read(sourceUrl)) || await fetchImageBuffer(sourceUrl);
+    imageBytes.set(key, buffer);
+  }
+  return buffer;
+}
+
+// Transcoded output for a render key from memory, then disk
+async function getRenderedImage(renderKey) {
+  let output = renderedCache.get(renderKey);
+  if (!output) {
+    output = await imageBytes.get(`render|${renderKey}`);
+    if (output) {
+      renderedCache.set(renderKey, output);
     }
+  }
+  return output || null;
+}
 
-    // Use the same prompt format that will be used for generation and database storage
-    const prompt = text || `A beautiful ${w}x${h} placeholder image`;
-    const dimensions = `${w}x${h}`;
+function storeRenderedImage(renderKey, output) {
+  renderedCache.set(renderKey, output);
+  imageBytes.set(`render|${renderKey}`, output);
+}
+
+// Fetch the source image, transcode it to the requested format and send it
+async function sendTranscodedImage(res, sourceUrl, format, outputOptions, renderKey, cacheStatus, lastModified = null) {
+  let output = await getRenderedImage(renderKey);
+  if (!output) {
+    output = await transcodeImage(await fetchSourceBuffer(sourceUrl), format, outputOptions);
+    storeRenderedImage(renderKey, output);
+  }
+  return sendImageBuffer(res, output, format, cacheStatus, lastModified);
+}
+
+// Media types that mark a request as coming from an image loader. Browsers list
+// them for <img> requests; plain HTTP clients send */* and keep getting JSON.
+const ERROR_IMAGE_TYPES = ['application/json', ...new Set(Object.values(OUTPUT_FORMATS))];
+
+// Whether image route errors should be rendered as images: ?errors=image, or an
+// Accept header preferring images over JSON. ?errors=json always gets JSON.
+function wantsErrorImage(req) {
+  if (req.query.errors === 'image') return true;
+  if (req.query.errors === 'json') return false;
+  const preferred = req.accepts(ERROR_IMAGE_TYPES);
+  return !!preferred && preferred !== 'application/json';
+}
+
+// Send an image route error as JSON, or (see wantsErrorImage) as an image of the
+// requested size and format showing the status and message, with the same status
+async function sendImageRouteError(req, res, status, body) {
+  if (!req.query.errors) {
+    res.vary('Accept');
+  }
+  if (!wantsErrorImage(req)) {
+    return res.status(status).json(body);
+  }
+
+  try {
+    // Out-of-range dimensions are what some 400s are about, so clamp to something renderable
+    const clamp = (value) => Math.min(MAX_DIMENSION, Math.max(1, parseInt(value) || 1));
+    const w = clamp(req.params.width);
+    const h = clamp(req.params.height);
+    const { width, height } = getScaledSize(w, h, resolveDpr(req.params.dpr, req.headers, w));
+    const format = req.params.format === 'auto' ? negotiateFormat(req.get('Accept')) : req.params.format;
+
+    const image = await renderErrorImage(width, height, format, { status, message: body.error });
+    res.status(status).set({
+      'Content-Type': getContentType(format),
+      'Content-Length': String(image.length),
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*',
+      'X-Error-Message': encodeURIComponent(body.error || '')
+    });
+    return res.send(image);
+  } catch (renderError) {
+    console.error('Error rendering error image:', renderError);
+    return res.status(status).json(body);
+  }
+}
+
+// Look up an API key from a request; returns { apiKey } or { status, error }
+async function lookupApiKey(apiKeyValue) {
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, is_active')
+    .eq('api_key', apiKeyValue)
+    .single();
+
+  if (error || !apiKey || !apiKey.is_active) {
+    return { status: 401, error: 'Invalid API key' };
+  }
+  return { apiKey };
+}
+
+// Check a user's credits and deduct `amount`; returns null on success or
+// { status, error, credits_available } when the generation must not run
+async function chargeCredits(userId, amount, description) {
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('credits, credits_expire_at')
+    .eq('id', userId)
+    .single();
+
+  if (profileError) {
+    console.error('Error checking user credits:', profileError);
+    return { status: 500, error: 'Internal server error' };
+  }
+
+  // Check if credits have expired
+  if (profile.credits_expire_at && new Date(profile.credits_expire_at) < new Date()) {
+    return { status: 402, error: 'Credits expired. Please renew your subscription.' };
+  }
+
+  if (profile.credits < amount) {
+    return { status: 402, error: 'Insufficient credits. Please purchase more credits.', credits_available: profile.credits };
+  }
+
+  // Use credits
+  const creditUsed = await supabase.rpc('use_credits', {
+    p_user_id: userId,
+    p_amount: amount,
+    p_description: description
+  });
+
+  if (!creditUsed.data) {
+    return { status: 402, error: 'Failed to deduct credits' };
+  }
+  return null;
+}
+
+// Parse an optional ?seed= value; returns { seed } (null when absent) or { error }
+function parseSeed(value) {
+  if (value === undefined || value === null) {
+    return { seed: null };
+  }
+  const seed = parseInt(value);
+  if (!/^\d+$/.test(String(value)) || seed > 2147483647) {
+    return { error: 'Invalid seed. Must be an integer between 0 and 2147483647' };
+  }
+  return { seed };
+}
+
+// Cache identity of a source image. Sources are cached independently of the
+// output format, so one generation serves every encoding of the same prompt.
+function getSourceKeys(prompt, w, h, model, seed) {
+  const seedKey = seed !== null ? `seed${seed}` : 'noseed';
+  return {
+    seedKey,
+    cacheKey: `${w}x${h}-${model}-${seedKey}-${encodeURIComponent(prompt)}`,
+    deduplicationKey: `${prompt}|${w}x${h}|${model}|${seedKey}`
+  };
+}
+
+// Parse the options that identify a source image (prompt, model, seed, style)
+// for routes derived from it; returns { model, seed, basePrompt, prompt } or { error }
+function parseSourceIdentity(params, w, h) {
+  const model = params.model || DEFAULT_MODEL;
+  if (!FAL_MODELS[model]) {
+    return { error: `Invalid model. Must be one of: ${Object.keys(FAL_MODELS).join(', ')}` };
+  }
+
+  const { seed, error: seedError } = parseSeed(params.seed);
+  if (seedError) {
+    return { error: seedError };
+  }
+  if (seed !== null && !getImageProvider(model).capabilities().seed) {
+    return { error: `Invalid seed. Model ${model} does not support seeds` };
+  }
 
-    // Check for existing image with same prompt and dimensions (cache check)
+  const basePrompt = params.text || `A beautiful ${w}x${h} placeholder image`;
+  const { prompt, error: styleError } = applyStylePreset(basePrompt, params.style, params.negative);
+  if (styleError) {
+    return { error: styleError };
+  }
+
+  return { model, seed, basePrompt, prompt };
+}
+
+// storage_path column for an image URL: its key in imageStorage, if it is stored there
+function getStoragePath(url) {
+  return (url && imageStorage && imageStorage.keyOf(url)) || null;
+}
+
+// Start generating a source image and register it for request deduplication.
+// Resolves with { imageUrl, success }; the image is rehosted in imageStorage and
+// its URL stored in imageCache.
+function startSourceGeneration({ prompt, w, h, model, seed }) {
+  const provider = getImageProvider(model);
+  const { deduplicationKey } = getSourceKeys(prompt, w, h, model, seed);
+
+  const generationPromise = (async () => {
     try {
-      const { data: existingImage, error: cacheError } = await supabase
-        .from('image_generations')
-        .select('public_url')
-        .eq('prompt', prompt)
-        .eq('dimensions', dimensions)
-        .eq('success', true)
-        .is('public_url', 'not.null')
-        .order('created_at', { ascending: false })
-        .limit(1)
+      // Generate at the nearest provider-supported size large enough for the
+      // highest pixel ratio; sharp resizes and crops to the output size when serving
+      const largestSize = getScaledSize(w, h, MAX_DPR);
+      const providerSize = getProviderSize(largestSize.width, largestSize.height, provider.capabilities());
+      console.log(`🚀 GENERATING ${w}x${h} image with ${model} (provider size ${providerSize.width}x${providerSize.height}) with prompt: "${prompt}"`);
+      const { url: providerUrl } = await provider.generate({ prompt, ...providerSize, seed });
+      const imageUrl = await storeGeneratedImage(imageStorage, providerUrl, { dimensions: `${w}x${h}`, byteCache: imageBytes });
+
+      // Cache the result
+      await imageCache.set({ prompt, dimensions: `${w}x${h}`, model, seed }, { url: imageUrl, createdAt: new Date().toISOString() });
+
+      return { imageUrl, success: true };
+    } catch (error) {
+      console.error('Error in generation promise:', error);
+      throw error;
+    } finally {
+      // Always clean up the ongoing generation map
+      ongoingGenerations.delete(deduplicationKey);
+      console.log(`🧹 Cleaned up ongoing generation for: "${prompt}" at ${w}x${h}`);
+    }
+  })();
+
+  // Store the promise in the deduplication map
+  ongoingGenerations.set(deduplicationKey, generationPromise);
+  console.log(`📝 Started generation tracking for: "${prompt}" at ${w}x${h}`);
+
+  return generationPromise;
+}
+
+// Path of the image route: /600x400.jpg, /600x400@2x.webp, /600x400.auto
+const IMAGE_ROUTE = '/:width(\\d+)x:height(\\d+):dpr(@[1-3]x)?.:format(jpg|jpeg|png|webp|avif|gif|svg|auto)';
+
+// Query parameters that change the image, in canonical URL order
+const IMAGE_QUERY_PARAMS = ['text', 'model', 'seed', 'style', 'negative', 'fit', 'position', 'caption', 'overlay', 'font_size', 'color', 'bg', 'quality', 'lossless'];
+
+// Parse and validate an image request (dimensions, format, pixel ratio, model,
+// seed, style and output options) into everything needed to find, render and
+// describe it. Sends a 400 and returns null when the request is invalid; with
+// errorImages the 400 may be rendered as an image (see sendImageRouteError).
+function parseImageRequest(req, res, { format: requestedFormat, dprSuffix, clientHints, errorImages = false }) {
+  const sendError = (error) => (errorImages
+    ? sendImageRouteError(req, res, 400, { error })
+    : res.status(400).json({ error }));
+
+  const { width, height } = req.params;
+
+  // .auto negotiates AVIF/WebP/JPEG from the Accept header; the source image is
+  // format-independent, so every negotiated encoding shares one generation
+  let format = requestedFormat;
+  if (format === 'auto') {
+    format = negotiateFormat(req.get('Accept'));
+    res.vary('Accept');
+  }
+
+  // Validate dimensions
+  const w = parseInt(width);
+  const h = parseInt(height);
+
+  if (w < 1 || w > 2048 || h < 1 || h > 2048) {
+    sendError('Invalid dimensions. Must be between 1x1 and 2048x2048');
+    return null;
+  }
+
+  // Repeated parameters (?negative=a&negative=b) arrive as arrays; each of these is a single value
+  const repeatedParam = ['text', 'model', 'seed', 'style', 'negative']
+    .find((name) => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeatedParam) {
+    sendError(`Invalid ${repeatedParam}. Must be given once`);
+    return null;
+  }
+
+  // Optional model and deterministic seed; both are part of every cache and dedupe key.
+  // Style presets and negatives are expanded server-side, so the styled prompt is
+  // the cache identity and equivalent URLs share one generation.
+  const { model, seed, basePrompt, prompt, error: identityError } = parseSourceIdentity(req.query, w, h);
+  if (identityError) {
+    sendError(identityError);
+    return null;
+  }
+
+  const { options: parsedOptions, error: optionsError } = parseOutputOptions(req.query);
+  if (optionsError) {
+    sendError(optionsError);
+    return null;
+  }
+
+  // Device pixel ratio from an @2x/@3x suffix or client hints. Every ratio is
+  // rendered from the same base generation, so @2x shows the same picture as 1x.
+  if (!dprSuffix && clientHints) {
+    res.set('Accept-CH', 'Sec-CH-DPR, Sec-CH-Width');
+    // resolveDpr also reads the legacy DPR / Width names, so caches must key on them too
+    ['Sec-CH-DPR', 'Sec-CH-Width', 'DPR', 'Width'].forEach((header) => res.vary(header));
+  }
+  const dpr = resolveDpr(dprSuffix, clientHints ? req.headers : {}, w);
+  const outputSize = getScaledSize(w, h, dpr);
+
+  const dimensions = `${w}x${h}`;
+  // Every source image is resized/cropped to exactly the requested output size;
+  // the unstyled prompt doubles as alt text for SVG output. Captions default to
+  // the dimensions like placehold.co and scale with the pixel ratio.
+  const outputOptions = {
+    ...parsedOptions,
+    ...outputSize,
+    caption: parsedOptions.caption || `${w}x${h}`,
+    scale: outputSize.width / w,
+    alt: basePrompt
+  };
+  const { cacheKey, deduplicationKey } = getSourceKeys(prompt, w, h, model, seed);
+  // <output size and encoding>|<source cache key>, so purges can find every render of a source
+  const renderKey = `${outputSize.width}x${outputSize.height}-${getRenderKey(format, outputOptions)}|${getImageCacheKey({ prompt, dimensions, model, seed })}`;
+
+  // Canonical URL: the requested path with only the parameters that change the image
+  const query = new URLSearchParams();
+  IMAGE_QUERY_PARAMS.forEach((name) => {
+    if (req.query[name] !== undefined) {
+      query.set(name, String(req.query[name]));
+    }
+  });
+  const queryString = query.toString();
+  const canonicalUrl = `${req.protocol}://${req.get('host')}/${dimensions}${dprSuffix || ''}.${requestedFormat}${queryString ? `?${queryString}` : ''}`;
+
+  return {
+    w,
+    h,
+    dimensions,
+    format,
+    model,
+    seed,
+    basePrompt,
+    prompt,
+    outputSize,
+    outputOptions,
+    cacheKey,
+    deduplicationKey,
+    renderKey,
+    canonicalUrl
+  };
+}
+
+// Describe an image request without generating anything or charging credits:
+// whether the source exists (HIT), is being generated (DEDUPED) or would be
+// generated (MISS), when it was generated, the encoded size and the credit cost.
+async function describeImage(request) {
+  const { w, h, dimensions, format, model, seed, prompt, outputOptions, outputSize, deduplicationKey, renderKey, canonicalUrl } = request;
+
+  const cached = await imageCache.get({ prompt, dimensions, model, seed });
+  const sourceUrl = cached?.url || null;
+  let cacheStatus = 'MISS';
+  if (sourceUrl) {
+    cacheStatus = 'HIT';
+  } else if (ongoingGenerations.has(deduplicationKey)) {
+    cacheStatus = 'DEDUPED';
+  }
+
+  // Encoded size and ETag of this exact output; rendering costs CPU but no credits
+  let bytes = null;
+  let etag = null;
+  if (sourceUrl) {
+    let output = await getRenderedImage(renderKey);
+    if (!output) {
+      output = await transcodeImage(await fetchSourceBuffer(sourceUrl), format, outputOptions);
+      storeRenderedImage(renderKey, output);
+    }
+    bytes = output.length;
+    etag = getContentEtag(output);
+  }
+
+  return {
+    url: canonicalUrl,
+    exists: cacheStatus === 'HIT',
+    cache_status: cacheStatus,
+    dimensions,
+    width: outputSize.width,
+    height: outputSize.height,
+    format,
+    content_type: getContentType(format),
+    model,
+    seed,
+    created_at: cached?.createdAt || null,
+    bytes,
+    etag,
+    credit_cost: cacheStatus === 'MISS' ? getImageProvider(model).cost({ width: w, height: h }) : 0
+  };
+}
+
+// HEAD on the image route reports describeImage() as headers, so build pipelines
+// can check an asset exists without generating it, spending credits or downloading
+// it. 200 when the image exists, 404 otherwise.
+app.head(IMAGE_ROUTE, async (req, res) => {
+  try {
+    const request = parseImageRequest(req, res, { format: req.params.format, dprSuffix: req.params.dpr, clientHints: true, errorImages: true });
+    if (!request) {
+      return;
+    }
+
+    const metadata = await describeImage(request);
+    res.set({
+      'Content-Type': metadata.content_type,
+      'Content-Location': metadata.url,
+      'Access-Control-Allow-Origin': '*',
+      'X-Cache-Status': metadata.cache_status,
+      'X-Image-Model': metadata.model,
+      'X-Credit-Cost': String(metadata.credit_cost)
+    });
+    if (metadata.seed !== null) {
+      res.set('X-Image-Seed', String(metadata.seed));
+    }
+    if (metadata.created_at) {
+      res.set('X-Created-At', new Date(metadata.created_at).toISOString());
+    }
+    if (metadata.exists && sendNotModifiedIfFresh(req, res, { etag: metadata.etag, lastModified: metadata.created_at })) {
+      return;
+    }
+    if (metadata.bytes !== null) {
+      res.set('Content-Length', String(metadata.bytes));
+    }
+    res.status(metadata.exists ? 200 : 404).end();
+  } catch (error) {
+    console.error('Image metadata error:', error);
+    res.status(500).end();
+  }
+});
+
+// JSON description of a placeholder (see describeImage); ?format= picks the
+// encoding the size refers to (jpg by default)
+app.get('/:width(\\d+)x:height(\\d+).json', async (req, res) => {
+  try {
+    const format = req.query.format || 'jpg';
+    if (!OUTPUT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+    }
+
+    const request = parseImageRequest(req, res, { format, clientHints: false });
+    if (!request) {
+      return;
+    }
+
+    res.set('Access-Control-Allow-Origin', '*');
+    res.json(await describeImage(request));
+  } catch (error) {
+    console.error('Image metadata error:', error);
+    res.status(500).json({ error: 'Failed to describe image' });
+  }
+});
+
+// Seconds a wait=false placeholder may be cached, so clients re-request soon
+// and get the real image once the generation has finished
+const PENDING_PLACEHOLDER_MAX_AGE = 5;
+
+// Stable ID for the generation of a source image, shared by every request waiting on it
+function getGenerationId(deduplicationKey) {
+  return crypto.createHash('sha256').update(deduplicationKey).digest('hex').slice(0, 16);
+}
+
+// Send the stand-in image returned by wait=false while the source is generating
+async function sendPendingPlaceholder(res, { format, prompt, outputOptions, deduplicationKey }) {
+  const placeholder = await renderPendingPlaceholder(prompt, format, outputOptions);
+  res.set({
+    'Content-Type': getContentType(format),
+    'Content-Length': String(placeholder.length),
+    'Cache-Control': `public, max-age=${PENDING_PLACEHOLDER_MAX_AGE}`,
+    'Access-Control-Allow-Origin': '*',
+    'X-Cache-Status': 'PENDING',
+    'X-Generation-Id': getGenerationId(deduplicationKey)
+  });
+  return res.send(placeholder);
+}
+
+// Wait for a generation started by the image route, then send the API key's
+// completion webhook and log it for the user. Resolves with the source image URL.
+async function finishImageGeneration(generationPromise, { userId, apiKeyId, prompt, dimensions, model, seed, creditCost }) {
+  let result;
+  try {
+    result = await generationPromise;
+  } catch (generationError) {
+    webhooks.notifyGeneration(apiKeyId, {
+      type: 'image',
+      prompt,
+      dimensions,
+      model,
+      seed,
+      url: null,
+      credits_used: creditCost,
+      success: false,
+      error: generationError.message
+    });
+    throw generationError;
+  }
+  const imageUrl = result.imageUrl;
+
+  webhooks.notifyGeneration(apiKeyId, {
+    type: 'image',
+    prompt,
+    dimensions,
+    model,
+    seed,
+    url: imageUrl,
+    credits_used: creditCost,
+    success: true,
+    error: null
+  });
+
+  // Log the generation
+  if (userId) {
+    const { data: insertData, error: insertError } = await supabase
+      .from('image_generations')
+      .insert({
+        user_id: userId,
+        api_key_id: apiKeyId,
+        prompt: prompt,
+        dimensions: dimensions,
+        model: model,
+        seed: seed,
+        credits_used: creditCost,
+        success: true,
+        public_url: imageUrl,
+        storage_path: getStoragePath(imageUrl)
+      })
+      .select('id')
+      .single();
+
+    if (insertError) {
+      console.error('Error logging image generation:', insertError);
+    } else {
+      console.log('Successfully logged image generation:', insertData);
+      await linkCachedGeneration({ prompt, dimensions, model, seed }, insertData.id);
+    }
+
+    // Note: total_generations will be calculated dynamically from image_generations table
+    console.log('Image generation completed and logged successfully');
+
+    // Update API key usage
+    if (apiKeyId) {
+      // First get current total_requests
+      const { data: currentData } = await supabase
+        .from('api_keys')
+        .select('total_requests')
+        .eq('id', apiKeyId)
         .single();
 
-      if (!cacheError && existingImage && existingImage.public_url) {
-        console.log(`🎯 Cache HIT: Serving existing image for prompt "${prompt}" at ${dimensions}`);
+      const newTotalRequests = (currentData?.total_requests || 0) + 1;
 
-        // Fetch the existing image and serve it
-        try {
-          const imageResponse = await fetch(existingImage.public_url);
-          if (imageResponse.ok) {
-            const imageBuffer = await imageResponse.arrayBuffer();
-            res.set({
-              'Content-Type': `image/${format === 'jpg' ? 'jpeg' : format}`,
-              'Cache-Control': 'public, max-age=31536000', // 1 year cache
-              'X-Cache-Status': 'HIT'
-            });
-            return res.send(Buffer.from(imageBuffer));
-          }
-        } catch (fetchError) {
-          console.log('Failed to fetch cached image, generating new one:', fetchError.message);
-        }
-      } else {
-        console.log(`💾 Cache MISS: Generating new image for prompt "${prompt}" at ${dimensions}`);
-      }
-    } catch (cacheError) {
-      console.log('Cache lookup failed, proceeding with generation:', cacheError.message);
+      await supabase
+        .from('api_keys')
+        .update({
+          last_used_at: new Date(),
+          total_requests: newTotalRequests
+        })
+        .eq('id', apiKeyId);
     }
+  }
 
-    // Request deduplication: Check if generation is already in progress for this prompt+dimensions
-    const deduplicationKey = `${prompt}|${dimensions}`;
+  return imageUrl;
+}
 
+// Image generation endpoint with credit checking
+app.get(IMAGE_ROUTE, async (req, res) => {
+  try {
+    const { api_key } = req.query;
+
+    const request = parseImageRequest(req, res, { format: req.params.format, dprSuffix: req.params.dpr, clientHints: true, errorImages: true });
+    if (!request) {
+      return;
+    }
+    const {
+      w, h, dimensions, format, model, seed, prompt, outputOptions, deduplicationKey, renderKey
+    } = request;
+    const provider = getImageProvider(model);
+    const noWait = req.query.wait === 'false' || req.query.wait === '0';
+    const sourceFields = { prompt, dimensions, model, seed };
+
+    // Serve already transcoded bytes for this exact format and encoder options
+    const renderedImage = await getRenderedImage(renderKey);
+    if (renderedImage) {
+      return sendImageBuffer(res, renderedImage, format, 'HIT', (await imageCache.get(sourceFields))?.createdAt);
+    }
+
+    // Check the cache tiers (memory, disk, image_generations) for an existing image
+    // with the same prompt, dimensions, model and seed
+    const cachedImage = await imageCache.get(sourceFields);
+    if (cachedImage) {
+      console.log(`🎯 Cache HIT: Serving existing image for prompt "${prompt}" at ${dimensions}`);
+
+      // Fetch the existing image and serve it in the requested format
+      try {
+        return await sendTranscodedImage(res, cachedImage.url, format, outputOptions, renderKey, 'HIT', cachedImage.createdAt);
+      } catch (fetchError) {
+        console.log('Failed to fetch cached image, generating new one:', fetchError.message);
+        // Drop the local copies; the stored row is kept in case the failure was transient
+        await imageCache.invalidate(sourceFields, { tiers: ['memory', 'disk'] });
+      }
+    } else {
+      console.log(`💾 Cache MISS: Generating new image for prompt "${prompt}" at ${dimensions}`);
+    }
+
+    // Request deduplication: Check if generation is already in progress for this prompt+dimensions+model+seed
     if (ongoingGenerations.has(deduplicationKey)) {
+      if (noWait) {
+        return await sendPendingPlaceholder(res, request);
+      }
       console.log(`🔄 Request QUEUED: Generation already in progress for "${prompt}" at ${dimensions}`);
       try {
         // Wait for the ongoing generation to complete
         const result = await ongoingGenerations.get(deduplicationKey);
         console.log(`✅ Request SERVED: Using result from ongoing generation for "${prompt}" at ${dimensions}`);
 
-        // Serve the generated image
-        const imageResponse = await fetch(result.imageUrl);
-        if (imageResponse.ok) {
-          const imageBuffer = await imageResponse.arrayBuffer();
-          res.set({
-            'Content-Type': `image/${format === 'jpg' ? 'jpeg' : format}`,
-            'Cache-Control': 'public, max-age=31536000',
-            'X-Cache-Status': 'DEDUPED'
-          });
-          return res.send(Buffer.from(imageBuffer));
-        }
+        // Serve the generated image in the requested format
+        return await sendTranscodedImage(res, result.imageUrl, format, outputOptions, renderKey, 'DEDUPED', (await imageCache.get(sourceFields))?.createdAt);
       } catch (dedupError) {
         console.log('Error waiting for ongoing generation:', dedupError.message);
         // Continue to generate new image if deduplication fails
@@ -1724,207 +2392,597 @@ app.get('/:width(\\d+)x:height(\\d+).:format(jpg|jpeg|png|webp)', async (req, re
 
     // Check API key if provided
     let userId = null;
+    let apiKeyId = null;
     if (api_key) {
-      const { data: apiKeyData, error: apiError } = await supabase
-        .from('api_keys')
-        .select('user_id, is_active')
-        .eq('api_key', api_key)
-        .single();
+      const { apiKey, status, error: apiKeyError } = await lookupApiKey(api_key);
+      if (apiKeyError) {
+        return sendImageRouteError(req, res, status, { error: apiKeyError });
+      }
 
-      if (apiError || !apiKeyData || !apiKeyData.is_active) {
-        return res.status(401).json({ error: 'Invalid API key' });
+      userId = apiKey.user_id;
+      apiKeyId = apiKey.id;
+    }
+
+    // Check credits if user is authenticated; the model's provider decides what a generation costs
+    const creditCost = provider.cost({ width: w, height: h });
+    if (userId && creditCost > 0) {
+      const creditError = await chargeCredits(userId, creditCost, `Image generation: ${w}x${h} - ${prompt}`);
+      if (creditError) {
+        return sendImageRouteError(req, res, creditError.status, { error: creditError.error });
       }
+    }
 
-      userId = apiKeyData.user_id;
+    // Create generation promise and store in deduplication map
+    const generationPromise = startSourceGeneration({ prompt, w, h, model, seed });
+    const generationDetails = { userId, apiKeyId, prompt, dimensions, model, seed, creditCost };
+
+    // wait=false: answer with a placeholder now and finish the generation in the background
+    if (noWait) {
+      finishImageGeneration(generationPromise, generationDetails).catch((error) => {
+        console.error('Background image generation failed:', error.message);
+      });
+      return await sendPendingPlaceholder(res, request);
     }
 
-    // prompt is already defined earlier in the cache check section
-    const cacheKey = `${w}x${h}-${format}-${encodeURIComponent(prompt)}`;
+    // Wait for our own generation to complete
+    const imageUrl = await finishImageGeneration(generationPromise, generationDetails);
 
-    // Check cache first
-    const cachedImage = imageCache.get(cacheKey);
-    if (cachedImage) {
-      console.log('Serving cached image');
+    // Transcode and serve the image so the body matches the requested extension
+    try {
+      console.log(`Transcoding image generated by ${provider.id} provider (${model})`);
+      await sendTranscodedImage(res, imageUrl, format, outputOptions, renderKey, 'MISS', (await imageCache.get(sourceFields))?.createdAt);
+    } catch (downloadError) {
+      console.error('Error streaming generated image:', downloadError);
+      await sendImageRouteError(req, res, 500, { error: 'Failed to serve generated image' });
+    }
+  } catch (error) {
+    console.error('Image generation error:', error);
+    
+    // Log failed generation if user is authenticated
+    if (req.user && req.user.id) {
       try {
-        // Stream the cached image directly instead of loading into memory
-        console.log('Streaming cached image from:', cachedImage);
-        const imageResponse = await axios.get(cachedImage, {
-          responseType: 'stream',
-          timeout: 30000,
-          maxRedirects: 5
-        });
+        await supabase
+          .from('image_generations')
+          .insert({
+            user_id: req.user.id,
+            prompt: req.query.text || 'Unknown',
+            dimensions: `${req.params.width}x${req.params.height}`,
+            credits_used: 0,
+            success: false,
+            error_message: error.message
+          });
+      } catch (logError) {
+        console.error('Error logging failed generation:', logError);
+      }
+    }
 
-        res.set({
-          'Content-Type': `image/${format === 'jpg' ? 'jpeg' : format}`,
-          'Cache-Control': 'public, max-age=31536000', // 1 year cache
-          'Access-Control-Allow-Origin': '*'
-        });
+    await sendImageRouteError(req, res, 500, { error: 'Image generation failed' });
+  }
+});
 
-        // Stream directly to response - no memory buffering
-        return imageResponse.data.pipe(res);
-      } catch (downloadError) {
-        console.error('Error downloading cached image:', downloadError);
-        // Remove from cache if download fails
-        imageCache.del(cacheKey);
-        // Continue to generate new image
-      }
+// Point a freshly generated source's imageCache entry at the image_generations row
+// logged for it, so data derived from it later (palettes) is stored on that row too
+async function linkCachedGeneration(fields, generationId) {
+  const cached = await imageCache.get(fields);
+  if (cached && !cached.generationId) {
+    await imageCache.set(fields, { ...cached, generationId });
+  }
+}
+
+// Log a generation made outside the image route to image_generations and send
+// the API key's completion webhook. Failed generations pass `error` and no URL.
+async function recordImageGeneration({ userId, apiKeyId, prompt, dimensions, model, seed, creditsUsed, url, error = null }) {
+  if (!userId) {
+    return;
+  }
+
+  const { data: insertData, error: insertError } = await supabase
+    .from('image_generations')
+    .insert({
+      user_id: userId,
+      api_key_id: apiKeyId,
+      prompt: prompt,
+      dimensions: dimensions,
+      model: model,
+      seed: seed,
+      credits_used: creditsUsed,
+      success: !error,
+      error_message: error,
+      public_url: url,
+      storage_path: getStoragePath(url)
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    console.error('Error logging image generation:', insertError);
+  } else if (!error) {
+    await linkCachedGeneration({ prompt, dimensions, model, seed }, insertData.id);
+  }
+
+  webhooks.notifyGeneration(apiKeyId, {
+    type: 'image',
+    prompt,
+    dimensions,
+    model,
+    seed,
+    url,
+    credits_used: creditsUsed,
+    success: !error,
+    error
+  });
+}
+
+// Resolve the generated source image behind a derived route (previews, palette).
+// Until the image exists this responds 404 with Retry-After and returns null,
+// unless generate=1 is passed, in which case it is generated (and charged) like
+// the image route would. Returns { sourceUrl, cached } otherwise, where cached is
+// the imageCache entry the source came from (null when it was just generated).
+async function resolveSourceImage(req, res, { prompt, w, h, model, seed }) {
+  const dimensions = `${w}x${h}`;
+  const { deduplicationKey } = getSourceKeys(prompt, w, h, model, seed);
+
+  const cached = await imageCache.get({ prompt, dimensions, model, seed });
+  if (cached) {
+    return { sourceUrl: cached.url, cached };
+  }
+
+  const ongoing = ongoingGenerations.get(deduplicationKey);
+  if (req.query.generate !== '1' && req.query.generate !== 'true') {
+    // Suggest retrying after roughly one generation of the requested model
+    const { average_latency_ms } = listModels().find((entry) => entry.id === model);
+    res.set({
+      'Retry-After': String(Math.max(1, Math.ceil(average_latency_ms / 1000))),
+      'Cache-Control': 'no-store'
+    });
+    res.status(404).json({
+      error: ongoing
+        ? 'Image is being generated, retry shortly'
+        : 'Image has not been generated yet. Pass generate=1 to generate it'
+    });
+    return null;
+  }
+
+  if (ongoing) {
+    return { sourceUrl: (await ongoing).imageUrl, cached: null };
+  }
+
+  // Generate like the image route would: API key, credits, then the model's provider
+  let userId = null;
+  let apiKeyId = null;
+  if (req.query.api_key) {
+    const { apiKey, status, error: apiKeyError } = await lookupApiKey(req.query.api_key);
+    if (apiKeyError) {
+      res.status(status).json({ error: apiKeyError });
+      return null;
+    }
+    userId = apiKey.user_id;
+    apiKeyId = apiKey.id;
+  }
+
+  const creditCost = getImageProvider(model).cost({ width: w, height: h });
+  if (userId && creditCost > 0) {
+    const creditError = await chargeCredits(userId, creditCost, `Image generation: ${dimensions} - ${prompt}`);
+    if (creditError) {
+      res.status(creditError.status).json({ error: creditError.error });
+      return null;
     }
+  }
 
-    // Check credits if user is authenticated
-    if (userId) {
-      const { data: profile, error: profileError } = await supabase
-        .from('profiles')
-        .select('credits, credits_expire_at')
-        .eq('id', userId)
-        .single();
+  let sourceUrl;
+  try {
+    sourceUrl = (await startSourceGeneration({ prompt, w, h, model, seed })).imageUrl;
+  } catch (generationError) {
+    await recordImageGeneration({ userId, apiKeyId, prompt, dimensions, model, seed, creditsUsed: creditCost, url: null, error: generationError.message });
+    throw generationError;
+  }
+  await recordImageGeneration({ userId, apiKeyId, prompt, dimensions, model, seed, creditsUsed: creditCost, url: sourceUrl });
+
+  return { sourceUrl, cached: null };
+}
 
-      if (profileError) {
-        console.error('Error checking user credits:', profileError);
-        return res.status(500).json({ error: 'Internal server error' });
+// Placeholder previews of a generated image that frontends inline while it loads:
+// .blurhash returns a BlurHash string, .lqip a tiny blurred WebP data: URI (both
+// text/plain). Previews only come from existing generations, see resolveSourceImage.
+app.get('/:width(\\d+)x:height(\\d+).:preview(blurhash|lqip)', async (req, res) => {
+  try {
+    const { width, height, preview } = req.params;
+
+    const w = parseInt(width);
+    const h = parseInt(height);
+    if (w < 1 || w > 2048 || h < 1 || h > 2048) {
+      return res.status(400).json({ error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' });
+    }
+
+    // Same identity as the image route, so previews match the image they stand in for
+    const { model, seed, prompt, error } = parseSourceIdentity(req.query, w, h);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const previewKey = `${getSourceKeys(prompt, w, h, model, seed).cacheKey}-${preview}`;
+
+    let value = renderedCache.get(previewKey);
+    if (!value) {
+      const source = await resolveSourceImage(req, res, { prompt, w, h, model, seed });
+      if (!source) {
+        return;
       }
 
-      // Check if credits have expired
-      if (profile.credits_expire_at && new Date(profile.credits_expire_at) < new Date()) {
-        return res.status(402).json({ error: 'Credits expired. Please renew your subscription.' });
+      const sourceBuffer = await fetchSourceBuffer(source.sourceUrl);
+      value = preview === 'blurhash'
+        ? await computeBlurhash(sourceBuffer, w, h)
+        : await computeLqip(sourceBuffer, w, h);
+      renderedCache.set(previewKey, value);
+    }
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=31536000',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.send(value);
+  } catch (error) {
+    console.error('Preview generation error:', error);
+    res.status(500).json({ error: 'Preview generation failed' });
+  }
+});
+
+// Dominant color and palette of a generated image, for tinting UI to match it.
+// Computed once per source image and kept next to it: in derivedCache under the
+// source's cache key, in its imageCache entry and in the palette column of its
+// image_generations row.
+app.get('/:width(\\d+)x:height(\\d+).palette.json', async (req, res) => {
+  try {
+    const w = parseInt(req.params.width);
+    const h = parseInt(req.params.height);
+    if (w < 1 || w > 2048 || h < 1 || h > 2048) {
+      return res.status(400).json({ error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' });
+    }
+
+    let colors = PALETTE_MAX_COLORS;
+    if (req.query.colors !== undefined) {
+      colors = parseInt(req.query.colors);
+      if (isNaN(colors) || colors < PALETTE_MIN_COLORS || colors > PALETTE_MAX_COLORS) {
+        return res.status(400).json({ error: `Invalid colors. Must be between ${PALETTE_MIN_COLORS} and ${PALETTE_MAX_COLORS}` });
       }
+    }
 
-      if (profile.credits < 1) {
-        return res.status(402).json({ error: 'Insufficient credits. Please purchase more credits.' });
+    const { model, seed, prompt, error } = parseSourceIdentity(req.query, w, h);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const paletteKey = `${getSourceKeys(prompt, w, h, model, seed).cacheKey}-palette`;
+
+    let palette = derivedCache.get(paletteKey);
+    if (!palette) {
+      const source = await resolveSourceImage(req, res, { prompt, w, h, model, seed });
+      if (!source) {
+        return;
       }
 
-      // Use credits
-      const creditUsed = await supabase.rpc('use_credits', {
-        p_user_id: userId,
-        p_amount: 1,
-        p_description: `Image generation: ${w}x${h} - ${prompt}`
-      });
+      const fields = { prompt, dimensions: `${w}x${h}`, model, seed };
+      // Freshly generated sources have no entry yet in resolveSourceImage's result
+      const cached = source.cached || await imageCache.get(fields);
+      palette = cached?.palette;
+      if (!palette) {
+        const sourceBuffer = await fetchSourceBuffer(source.sourceUrl);
+        palette = await computePalette(sourceBuffer, w, h);
 
-      if (!creditUsed.data) {
-        return res.status(402).json({ error: 'Failed to deduct credits' });
+        if (cached) {
+          await imageCache.set(fields, { ...cached, palette });
+        }
+        if (cached?.generationId) {
+          const { error: updateError } = await supabase
+            .from('image_generations')
+            .update({ palette })
+            .eq('id', cached.generationId);
+          if (updateError) {
+            console.error('Error storing palette:', updateError);
+          }
+        }
       }
+      derivedCache.set(paletteKey, palette);
     }
 
-    // Create generation promise and store in deduplication map
-    const generationPromise = (async () => {
-      try {
-        // Generate image
-        console.log(`🚀 GENERATING ${w}x${h} image with prompt: "${prompt}"`);
-        const imageUrl = await generateImageWithFAL(prompt, w, h);
+    res.set({
+      'Cache-Control': 'public, max-age=31536000',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.json({
+      dimensions: `${w}x${h}`,
+      model,
+      seed,
+      dominant: palette.dominant,
+      palette: palette.colors.slice(0, colors)
+    });
+  } catch (error) {
+    console.error('Palette extraction error:', error);
+    res.status(500).json({ error: 'Palette extraction failed' });
+  }
+});
 
-        // Cache the result
-        imageCache.set(cacheKey, imageUrl);
+// Batch generation limits for POST /api/batch
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+const BATCH_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'avif', 'gif', 'svg'];
 
-        return { imageUrl, success: true };
-      } catch (error) {
-        console.error('Error in generation promise:', error);
-        throw error;
-      } finally {
-        // Always clean up the ongoing generation map
-        ongoingGenerations.delete(deduplicationKey);
-        console.log(`🧹 Cleaned up ongoing generation for: "${prompt}" at ${dimensions}`);
-      }
-    })();
+// Run an async worker over items with at most `concurrency` in flight; results keep item order
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
 
-    // Store the promise in the deduplication map
-    ongoingGenerations.set(deduplicationKey, generationPromise);
-    console.log(`📝 Started generation tracking for: "${prompt}" at ${dimensions}`);
+// Validate one batch item the same way the image route validates a request
+function parseBatchItem(item) {
+  if (!item || typeof item !== 'object') {
+    return { error: 'Item must be an object' };
+  }
 
-    // Wait for our own generation to complete
-    const result = await generationPromise;
-    const imageUrl = result.imageUrl;
+  const w = parseInt(item.width);
+  const h = parseInt(item.height);
+  if (isNaN(w) || isNaN(h) || w < 1 || w > 2048 || h < 1 || h > 2048) {
+    return { error: 'Invalid dimensions. Must be between 1x1 and 2048x2048' };
+  }
 
-    // Log the generation
-    if (userId) {
-      const { data: apiKeyData } = await supabase
-        .from('api_keys')
-        .select('id')
-        .eq('api_key', api_key)
-        .single();
+  const format = item.format || 'jpg';
+  if (!BATCH_FORMATS.includes(format)) {
+    return { error: `Invalid format. Must be one of: ${BATCH_FORMATS.join(', ')}` };
+  }
 
-      const { data: insertData, error: insertError } = await supabase
-        .from('image_generations')
-        .insert({
-          user_id: userId,
-          api_key_id: apiKeyData?.id,
-          prompt: prompt,
-          dimensions: `${w}x${h}`,
-          success: true,
-          public_url: imageUrl
-        });
+  const { model, seed, basePrompt, prompt, error } = parseSourceIdentity({ ...item, text: item.prompt }, w, h);
+  if (error) {
+    return { error };
+  }
 
-      if (insertError) {
-        console.error('Error logging image generation:', insertError);
-      } else {
-        console.log('Successfully logged image generation:', insertData);
-      }
+  // Link back to the image route; it serves the same cached source image
+  const query = new URLSearchParams();
+  for (const name of ['prompt', 'model', 'seed', 'style', 'negative']) {
+    if (item[name] !== undefined && item[name] !== null) {
+      query.set(name === 'prompt' ? 'text' : name, String(item[name]));
+    }
+  }
+  const queryString = query.toString();
+
+  return {
+    w,
+    h,
+    format,
+    model,
+    seed,
+    basePrompt,
+    prompt,
+    dimensions: `${w}x${h}`,
+    path: `/${w}x${h}.${format}${queryString ? `?${queryString}` : ''}`
+  };
+}
 
-      // Note: total_generations will be calculated dynamically from image_generations table
-      console.log('Image generation completed and logged successfully');
+// Drop what this server derives from purged images: rendered outputs and previews,
+// palettes and mp4 base images, and encoded outputs in the byte cache
+function purgeDerivedImages({ entries, urls }) {
+  const sourceKeys = new Set(entries.map(({ fields }) => getImageCacheKey({ ...fields, format: null })));
+  const isPurgedRender = (renderKey) => sourceKeys.has(renderKey.slice(renderKey.indexOf('|') + 1));
+  const removed = {};
+
+  // Previews and palettes are keyed by the source's cacheKey plus a suffix
+  const derivedKeys = new Set();
+  entries.forEach(({ fields }) => {
+    const [w, h] = fields.dimensions.split('x').map(Number);
+    const { cacheKey } = getSourceKeys(fields.prompt, w, h, fields.model, fields.seed);
+    ['blurhash', 'lqip', 'palette'].forEach((suffix) => derivedKeys.add(`${cacheKey}-${suffix}`));
+  });
 
-      // Update API key usage
-      if (apiKeyData) {
-        // First get current total_requests
-        const { data: currentData } = await supabase
-          .from('api_keys')
-          .select('total_requests')
-          .eq('id', apiKeyData.id)
-          .single();
+  const renderedKeys = renderedCache.keys().filter((key) => derivedKeys.has(key) || (key.includes('|') && isPurgedRender(key)));
+  removed.rendered = renderedCache.del(renderedKeys);
+  // mp4 base images are keyed per video, so match them by URL
+  const derivedCacheKeys = derivedCache.keys().filter((key) => derivedKeys.has(key) || urls.has(derivedCache.get(key)));
+  removed.derived = derivedCache.del(derivedCacheKeys);
 
-        const newTotalRequests = (currentData?.total_requests || 0) + 1;
+  return {
+    removed,
+    matchBytes: (key) => key.startsWith('render|') && isPurgedRender(key.slice('render|'.length))
+  };
+}
 
-        await supabase
-          .from('api_keys')
-          .update({
-            last_used_at: new Date(),
-            total_requests: newTotalRequests
-          })
-          .eq('id', apiKeyData.id);
+// Admin-only cache purge (see cache-purge.js)
+app.post('/api/admin/cache/purge', createCachePurgeHandler({
+  auth: supabaseClient?.auth,
+  purge: (selector) => purgeImages(selector, {
+    imageCache,
+    byteCache: imageBytes,
+    storage: imageStorage,
+    supabase,
+    purgeDerived: purgeDerivedImages
+  })
+}));
+
+// Batch generation: validates every item, charges credits for the whole batch up
+// front (cached and duplicate items are free), generates with bounded concurrency
+// and returns per-item results as JSON, or a ZIP of the images with ?download=zip.
+app.post('/api/batch', async (req, res) => {
+  try {
+    const { items } = req.body || {};
+    const api_key = req.body?.api_key || req.query.api_key;
+    const asZip = req.query.download === 'zip' || req.body?.download === 'zip';
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `Too many items. A batch can have at most ${MAX_BATCH_ITEMS}` });
+    }
+
+    const parsedItems = items.map(parseBatchItem);
+    const invalidItems = parsedItems
+      .map((item, index) => ({ index, error: item.error }))
+      .filter((item) => item.error);
+    if (invalidItems.length > 0) {
+      return res.status(400).json({ error: 'Invalid batch items', items: invalidItems });
+    }
+
+    // Batches need an API key so credits can be checked for the whole batch
+    if (!api_key) {
+      return res.status(401).json({ error: 'API key required for batch generation' });
+    }
+    const { apiKey: apiKeyData, status: apiKeyStatus, error: apiKeyError } = await lookupApiKey(api_key);
+    if (apiKeyError) {
+      return res.status(apiKeyStatus).json({ error: apiKeyError });
+    }
+    const userId = apiKeyData.user_id;
+
+    // Resolve cached sources first so already generated items cost nothing.
+    // Items with the same source share one generation and are charged once.
+    const chargedKeys = new Set();
+    let totalCost = 0;
+    for (const item of parsedItems) {
+      const { deduplicationKey } = getSourceKeys(item.prompt, item.w, item.h, item.model, item.seed);
+      item.deduplicationKey = deduplicationKey;
+      item.sourceFields = { prompt: item.prompt, dimensions: item.dimensions, model: item.model, seed: item.seed };
+      item.sourceUrl = (await imageCache.get(item.sourceFields))?.url || null;
+
+      item.cost = 0;
+      if (!item.sourceUrl && !ongoingGenerations.has(deduplicationKey) && !chargedKeys.has(deduplicationKey)) {
+        chargedKeys.add(deduplicationKey);
+        item.cost = getImageProvider(item.model).cost({ width: item.w, height: item.h });
+        totalCost += item.cost;
       }
     }
 
-    // Stream and serve the image directly instead of loading into memory
-    try {
-      console.log('Streaming image from Seedream v4:', imageUrl);
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: 'stream',
-        timeout: 30000,
-        maxRedirects: 5
-      });
+    if (totalCost > 0) {
+      const creditError = await chargeCredits(userId, totalCost, `Batch generation: ${totalCost} of ${parsedItems.length} images`);
+      if (creditError) {
+        const { status: creditStatus, ...body } = creditError;
+        return res.status(creditStatus).json({ ...body, credits_required: totalCost });
+      }
+    }
 
-      res.set({
-        'Content-Type': `image/${format === 'jpg' ? 'jpeg' : format}`,
-        'Cache-Control': 'public, max-age=31536000', // 1 year cache
-        'Access-Control-Allow-Origin': '*'
-      });
+    console.log(`📦 BATCH: ${parsedItems.length} items, ${chargedKeys.size} to generate, ${totalCost} credits`);
+
+    const results = await mapWithConcurrency(parsedItems, BATCH_CONCURRENCY, async (item, index) => {
+      const result = {
+        index,
+        prompt: item.basePrompt,
+        dimensions: item.dimensions,
+        format: item.format,
+        model: item.model,
+        seed: item.seed,
+        url: item.path,
+        source_url: item.sourceUrl,
+        cache_status: 'HIT',
+        credits_used: item.cost,
+        success: true,
+        error: null
+      };
 
-      // Stream directly to response - memory efficient
-      imageResponse.data.pipe(res);
-    } catch (downloadError) {
-      console.error('Error streaming generated image:', downloadError);
-      res.status(500).json({ error: 'Failed to serve generated image' });
-    }
-  } catch (error) {
-    console.error('Image generation error:', error);
-    
-    // Log failed generation if user is authenticated
-    if (req.user && req.user.id) {
       try {
-        await supabase
-          .from('image_generations')
-          .insert({
-            user_id: req.user.id,
-            prompt: req.query.text || 'Unknown',
-            dimensions: `${req.params.width}x${req.params.height}`,
-            credits_used: 0,
-            success: false,
-            error_message: error.message
+        // A duplicate item may find the source an earlier item just generated
+        if (!result.source_url) {
+          result.source_url = (await imageCache.get(item.sourceFields))?.url || null;
+        }
+        if (!result.source_url) {
+          // Join a generation already running for this source (from the GET route
+          // or an earlier item in this batch) instead of paying for a second one
+          const ongoing = ongoingGenerations.get(item.deduplicationKey);
+          result.cache_status = ongoing ? 'DEDUPED' : 'MISS';
+          const generation = ongoing || startSourceGeneration(item);
+          result.source_url = (await generation).imageUrl;
+        }
+
+        if (asZip) {
+          const sourceBuffer = await fetchSourceBuffer(result.source_url);
+          const { options } = parseOutputOptions({});
+          item.buffer = await transcodeImage(sourceBuffer, item.format, {
+            ...options,
+            width: item.w,
+            height: item.h,
+            caption: null,
+            scale: 1,
+            alt: item.basePrompt
           });
-      } catch (logError) {
-        console.error('Error logging failed generation:', logError);
+        }
+      } catch (error) {
+        console.error(`Batch item ${index} failed:`, error.message);
+        result.success = false;
+        result.error = error.message;
+      }
+
+      if (item.cost > 0) {
+        await recordImageGeneration({
+          userId,
+          apiKeyId: apiKeyData.id,
+          prompt: item.prompt,
+          dimensions: item.dimensions,
+          model: item.model,
+          seed: item.seed,
+          creditsUsed: result.success ? item.cost : 0,
+          url: result.success ? result.source_url : null,
+          error: result.error
+        });
+      }
+
+      return result;
+    });
+
+    // Give back credits charged for items that failed to generate
+    const refund = results
+      .filter((result) => !result.success)
+      .reduce((sum, result) => sum + result.credits_used, 0);
+    if (refund > 0) {
+      const { error: refundError } = await supabase.rpc('add_credits', {
+        p_user_id: userId,
+        p_amount: refund,
+        p_description: `Batch generation refund: ${refund} failed images`
+      });
+      if (refundError) {
+        console.error('Error refunding batch credits:', refundError);
       }
     }
 
-    res.status(500).json({ error: 'Image generation failed' });
+    const summary = {
+      total: results.length,
+      succeeded: results.filter((result) => result.success).length,
+      failed: results.filter((result) => !result.success).length,
+      credits_used: totalCost - refund,
+      credits_refunded: refund
+    };
+
+    if (!asZip) {
+      return res.json({ ...summary, items: results });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="batch-${Date.now()}.zip"`
+    });
+
+    const archive = archiver('zip', { zlib: { level: 0 } }); // Images are already compressed
+    archive.on('error', (error) => {
+      console.error('Batch ZIP error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    parsedItems.forEach((item, index) => {
+      if (item.buffer) {
+        const fileName = `${String(index + 1).padStart(3, '0')}-${slugify(item.basePrompt).slice(0, 60)}-${item.dimensions}.${item.format}`;
+        results[index].file = fileName;
+        archive.append(item.buffer, { name: fileName });
+      }
+    });
+    archive.append(JSON.stringify({ ...summary, items: results }, null, 2), { name: 'results.json' });
+    await archive.finalize();
+  } catch (error) {
+    console.error('Batch generation error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Batch generation failed' });
+    }
   }
 });
 
@@ -1938,6 +2996,38 @@ function slugify(text) {
     .slice(0, 120) || 'prompt';
 }
 
+// Headers passed through from Storage when proxying a cached video
+const PROXIED_VIDEO_HEADERS = ['content-length', 'content-range', 'etag', 'last-modified'];
+
+// Stream a video stored in Supabase Storage through this server instead of
+// redirecting, forwarding Range/If-Range so players can seek (iOS Safari will
+// not play an mp4 without 206 responses). Resolves once the body is piped.
+async function proxyStoredVideo(req, res, publicUrl) {
+  const upstreamHeaders = {};
+  if (req.headers.range) upstreamHeaders.Range = req.headers.range;
+  if (req.headers['if-range']) upstreamHeaders['If-Range'] = req.headers['if-range'];
+
+  const upstream = await axios.get(publicUrl, {
+    headers: upstreamHeaders,
+    responseType: 'stream',
+    timeout: 15000,
+    validateStatus: (status) => status === 200 || status === 206 || status === 416
+  });
+
+  res.status(upstream.status);
+  res.setHeader('Content-Type', 'video/mp4');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.setHeader('X-Cache-Location', publicUrl);
+  for (const name of PROXIED_VIDEO_HEADERS) {
+    if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+  }
+
+  upstream.data.pipe(res);
+  // Stop downloading when the player drops the connection mid-seek
+  res.on('close', () => upstream.data.destroy());
+}
+
 // Video generation endpoint (mp4) - 30 second loop of generated image
 app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
   try {
@@ -1957,28 +3047,15 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
     const dimensions = `${w}x${h}`;
 
     // Check for existing video/image with same prompt and dimensions (cache check)
-    // For videos, we first check if there's an existing image we can reuse for video generation
-    try {
-      const { data: existingImage, error: cacheError } = await supabase
-        .from('image_generations')
-        .select('public_url')
-        .eq('prompt', prompt)
-        .eq('dimensions', dimensions)
-        .eq('success', true)
-        .is('public_url', 'not.null')
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (!cacheError && existingImage && existingImage.public_url) {
-        console.log(`🎯 Image Cache HIT for video: Using existing image for prompt "${prompt}" at ${dimensions}`);
-        // We'll use this cached image URL later in the video generation process
-        req.cachedImageUrl = existingImage.public_url;
-      } else {
-        console.log(`💾 Image Cache MISS for video: Will generate new image for prompt "${prompt}" at ${dimensions}`);
-      }
-    } catch (cacheError) {
-      console.log('Image cache lookup failed for video, proceeding with generation:', cacheError.message);
+    // For videos, we first check if there's an existing image we can reuse for video
+    // generation: the image route's default-model, unseeded source for this prompt
+    const existingImage = await imageCache.get({ prompt, dimensions });
+    if (existingImage) {
+      console.log(`🎯 Image Cache HIT for video: Using existing image for prompt "${prompt}" at ${dimensions}`);
+      // We'll use this cached image URL later in the video generation process
+      req.cachedImageUrl = existingImage.url;
+    } else {
+      console.log(`💾 Image Cache MISS for video: Will generate new image for prompt "${prompt}" at ${dimensions}`);
     }
 
     // Check API key if provided
@@ -1999,6 +3076,25 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
       apiKeyRecord = apiKeyData;
     }
 
+    // Completion webhook for this video, sent once even if ffmpeg reports both
+    // 'error' and 'close'; credits are only charged when the base image is generated
+    let creditsUsed = 0;
+    let videoWebhookSent = false;
+    const notifyVideoWebhook = (success, url, error = null) => {
+      if (videoWebhookSent) return;
+      videoWebhookSent = true;
+      webhooks.notifyGeneration(apiKeyRecord?.id, {
+        type: 'video',
+        prompt,
+        dimensions,
+        duration,
+        url,
+        credits_used: creditsUsed,
+        success,
+        error
+      });
+    };
+
     // prompt is already defined earlier in the cache check section
     const cacheKey = `${w}x${h}-mp4-${encodeURIComponent(prompt)}-${duration}`;
 
@@ -2009,10 +3105,23 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
     const storagePath = `${dir}/${fileName}`;
     try {
       const list = await supabase.storage.from(bucket).list(dir, { search: fileName, limit: 1 });
-      if (!list.error && list.data && list.data.find(f => f.name === fileName)) {
+      const storedVideo = !list.error && list.data && list.data.find(f => f.name === fileName);
+      if (storedVideo) {
         const { data: pub } = supabase.storage.from(bucket).getPublicUrl(storagePath);
         if (pub?.publicUrl) {
-          return res.redirect(pub.publicUrl);
+          const validators = {
+            etag: storedVideo.metadata?.eTag || null,
+            lastModified: storedVideo.updated_at || storedVideo.created_at || null
+          };
+          if (sendNotModifiedIfFresh(req, res, validators)) {
+            return;
+          }
+          try {
+            return await proxyStoredVideo(req, res, pub.publicUrl);
+          } catch (proxyErr) {
+            console.warn('Proxying stored video failed, redirecting:', proxyErr.message);
+            return res.redirect(pub.publicUrl);
+          }
         }
       }
     } catch (e) {
@@ -2020,7 +3129,7 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
     }
 
     // Small cache: reuse generated image URL so we don't regenerate
-    let imageUrl = imageCache.get(cacheKey);
+    let imageUrl = derivedCache.get(cacheKey);
     if (!imageUrl) {
       // Check credits if user is authenticated
       if (userId) {
@@ -2053,6 +3162,7 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
         if (!creditUsed.data) {
           return res.status(402).json({ error: 'Failed to deduct credits' });
         }
+        creditsUsed = 1;
       }
 
       // Generate the image first (only if not in storage and not cached)
@@ -2061,9 +3171,16 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
         imageUrl = req.cachedImageUrl;
       } else {
         console.log(`Generating base image for video ${w}x${h}, prompt: "${prompt}"`);
-        imageUrl = await generateImageWithFAL(prompt, w, h);
+        const providerSize = getProviderSize(w, h, imageProvider.capabilities());
+        try {
+          const { url: providerUrl } = await imageProvider.generate({ prompt, ...providerSize });
+          imageUrl = await storeGeneratedImage(imageStorage, providerUrl, { dimensions: `${w}x${h}`, byteCache: imageBytes });
+        } catch (generationError) {
+          notifyVideoWebhook(false, null, generationError.message);
+          throw generationError;
+        }
       }
-      imageCache.set(cacheKey, imageUrl);
+      derivedCache.set(cacheKey, imageUrl);
 
       // Log generation
       if (userId) {
@@ -2076,7 +3193,8 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
               prompt: prompt,
               dimensions: `${w}x${h}`,
               success: true,
-              public_url: imageUrl
+              public_url: imageUrl,
+              storage_path: getStoragePath(imageUrl)
             });
 
           // Update API key usage counter
@@ -2102,7 +3220,7 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
     // Stream image directly to FFmpeg to avoid loading into memory
     let imageStream;
     try {
-      console.log('Streaming image for video generation:', imageUrl);
+      console.log('Streaming image for video generation');
       const streamResponse = await axios.get(imageUrl, {
         responseType: 'stream',
         timeout: 30000,
@@ -2111,6 +3229,7 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
       imageStream = streamResponse.data;
     } catch (e) {
       console.error('Failed to stream image for video:', e.message);
+      notifyVideoWebhook(false, null, 'Failed to fetch generated image');
       return res.status(500).json({ error: 'Failed to fetch generated image' });
     }
 
@@ -2159,6 +3278,7 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
 
     ff.on('error', (err) => {
       console.error('ffmpeg spawn error:', err);
+      notifyVideoWebhook(false, null, 'ffmpeg not available');
       if (!res.headersSent) res.status(500).json({ error: 'Video generation failed (ffmpeg not available)' });
     });
 
@@ -2178,15 +3298,20 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
       try {
         if (code !== 0) {
           console.error('ffmpeg exited with code', code);
+          notifyVideoWebhook(false, null, `ffmpeg exited with code ${code}`);
           if (!res.headersSent) return res.status(500).json({ error: 'Video generation failed' });
           return;
         }
 
         const fs = require('fs');
+        // Storage reports an object's eTag as the quoted MD5 of its bytes, so hash
+        // the same way to keep validators stable once the video is served from there
+        let videoEtag = null;
         // Upload to Supabase Storage for persistent caching
         try {
           const fs = require('fs');
           const fileBuffer = fs.readFileSync(outPath);
+          videoEtag = `"${crypto.createHash('md5').update(fileBuffer).digest('hex')}"`;
           const { error: upErr } = await supabase.storage
             .from(bucket)
             .upload(storagePath, fileBuffer, { contentType: 'video/mp4', upsert: true });
@@ -2199,27 +3324,24 @@ app.get('/:width(\\d+)x:height(\\d+).mp4', async (req, res) => {
 
         const { data: pub2 } = supabase.storage.from(bucket).getPublicUrl(storagePath);
         const publicUrl = pub2?.publicUrl;
-
-        // Stream the file now and then cleanup temp file
-        try {
-          const fs = require('fs');
-          const stat = fs.statSync(outPath);
-          res.setHeader('Content-Type', 'video/mp4');
-          res.setHeader('Content-Length', String(stat.size));
-          res.setHeader('Cache-Control', 'public, max-age=86400');
-          if (publicUrl) res.setHeader('X-Cache-Location', publicUrl);
-
-          const stream = fs.createReadStream(outPath);
-          stream.pipe(res);
-          stream.on('close', () => {
-            fs.unlink(outPath, () => {});
-          });
-        } catch (streamErr) {
-          console.error('Streaming temp video failed:', streamErr);
-          if (!res.headersSent && publicUrl) {
-            return res.redirect(publicUrl);
+        notifyVideoWebhook(true, publicUrl || null);
+
+        // Send the file now and then cleanup temp file. sendFile answers Range
+        // (206/416), If-Range and conditional requests using the validators set here
+        res.setHeader('Content-Type', 'video/mp4');
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        if (publicUrl) res.setHeader('X-Cache-Location', publicUrl);
+        if (videoEtag) res.setHeader('ETag', videoEtag);
+        res.sendFile(outPath, (streamErr) => {
+          fs.unlink(outPath, () => {});
+          if (streamErr && !res.headersSent) {
+            console.error('Streaming temp video failed:', streamErr);
+            if (publicUrl) {
+              return res.redirect(publicUrl);
+            }
+            res.status(500).json({ error: 'Video generation failed' });
           }
-        }
+        });
       } catch (e) {
         console.error('Error finalizing video response:', e);
         if (!res.headersSent) res.status(500).json({ error: 'Video generation failed' });
@@ -2271,5 +3393,28 @@ app.listen(PORT, '0.0.0.0', () => {
   } else {
     console.log(`⚠️  Stripe integration: Disabled (set STRIPE_SECRET_KEY and STRIPE_PUBLISHABLE_KEY)`);
   }
+
+  if (imageStorage) {
+    console.log(`🗄️  Image storage: ${imageStorage.id}`);
+  }
+
+  // Move images still served from provider URLs into our storage, in the background
+  if (supabase && imageStorage && process.env.IMAGE_STORAGE_MIGRATE !== 'false') {
+    migrateStoredImages({
+      supabase,
+      storage: imageStorage,
+      // Memory and disk tiers may still hold the provider URL for this source
+      onRehosted: (row) => imageCache.invalidate(
+        { prompt: row.prompt, dimensions: row.dimensions, model: row.model || LEGACY_MODEL, seed: row.seed },
+        { tiers: ['memory', 'disk'] }
+      )
+    })
+      .then(({ migrated, failed }) => {
+        console.log(`🗄️  Image storage migration finished: ${migrated} rehosted, ${failed} failed`);
+      })
+      .catch((error) => {
+        console.error('Image storage migration error:', error.message);
+      });
+  }
 });
 
@@ -0,0 +1,110 @@
+// Server-side style preset catalog for the image route (?style=anime&negative=text)
+// Presets rewrite the prompt before it reaches the provider, so URLs stay short and
+// every request for the same prompt + style shares one cache entry.
+const STYLE_PRESETS = {
+  photo: {
+    name: 'Photo',
+    description: 'Photorealistic photography with natural lighting',
+    prompt: 'professional photograph, photorealistic, natural lighting, sharp focus, high detail',
+    negative: 'illustration, painting, cartoon, drawing, blurry'
+  },
+  cinematic: {
+    name: 'Cinematic',
+    description: 'Film still with dramatic lighting and shallow depth of field',
+    prompt: 'cinematic film still, dramatic lighting, shallow depth of field, anamorphic, color graded',
+    negative: 'flat lighting, cartoon, low contrast'
+  },
+  anime: {
+    name: 'Anime',
+    description: 'Japanese anime illustration with cel shading',
+    prompt: 'anime style illustration, cel shading, clean line art, vibrant colors',
+    negative: 'photorealistic, photo, 3d render'
+  },
+  pixel: {
+    name: 'Pixel Art',
+    description: 'Retro 16-bit pixel art',
+    prompt: 'pixel art, 16-bit retro game style, limited color palette, crisp pixels',
+    negative: 'smooth gradients, photorealistic, blurry, anti-aliasing'
+  },
+  lowpoly: {
+    name: 'Low Poly',
+    description: 'Low polygon 3D render with flat shaded facets',
+    prompt: 'low poly 3d render, flat shaded polygons, geometric facets, soft studio lighting',
+    negative: 'photorealistic, high detail textures, noise'
+  },
+  watercolor: {
+    name: 'Watercolor',
+    description: 'Soft watercolor painting on textured paper',
+    prompt: 'watercolor painting, soft washes, visible paper texture, gentle color bleeding',
+    negative: 'photo, 3d render, hard edges, digital art'
+  },
+  sketch: {
+    name: 'Sketch',
+    description: 'Pencil sketch with hatching on white paper',
+    prompt: 'pencil sketch, graphite hatching, hand drawn, white paper background',
+    negative: 'color, photo, 3d render'
+  },
+  flat: {
+    name: 'Flat Illustration',
+    description: 'Flat vector illustration for UI and marketing mockups',
+    prompt: 'flat vector illustration, minimal shapes, solid colors, clean modern design',
+    negative: 'photorealistic, texture, gradients, noise'
+  },
+  isometric: {
+    name: 'Isometric',
+    description: 'Isometric 3D scene with clean edges',
+    prompt: 'isometric 3d illustration, 45 degree view, clean edges, soft shadows, miniature scene',
+    negative: 'perspective distortion, photo, blurry'
+  }
+};
+
+// Maximum length of a user supplied ?negative= value
+const MAX_NEGATIVE_LENGTH = 500;
+
+// Catalog as returned by GET /api/styles
+function listStylePresets() {
+  return Object.entries(STYLE_PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    description: preset.description,
+    prompt_suffix: preset.prompt,
+    negative: preset.negative
+  }));
+}
+
+// Rewrite a prompt with a style preset and negative terms. The provider has no
+// negative prompt input, so negatives are folded into the prompt as an "avoid" clause.
+function applyStylePreset(prompt, style = null, negative = null) {
+  // Repeated query parameters (?negative=a&negative=b) arrive as arrays
+  if (style !== null && style !== undefined && typeof style !== 'string') {
+    return { error: 'Invalid style. Must be given once' };
+  }
+  if (negative !== null && negative !== undefined && typeof negative !== 'string') {
+    return { error: 'Invalid negative. Must be given once' };
+  }
+  if (style && !STYLE_PRESETS[style]) {
+    return { error: `Invalid style. Must be one of: ${Object.keys(STYLE_PRESETS).join(', ')}` };
+  }
+  if (negative && negative.length > MAX_NEGATIVE_LENGTH) {
+    return { error: `Invalid negative. Must be at most ${MAX_NEGATIVE_LENGTH} characters` };
+  }
+
+  const preset = style ? STYLE_PRESETS[style] : null;
+  const avoid = [preset?.negative, negative?.trim()].filter(Boolean).join(', ');
+
+  let styledPrompt = prompt;
+  if (preset) {
+    styledPrompt += `, ${preset.prompt}`;
+  }
+  if (avoid) {
+    styledPrompt += `. Avoid: ${avoid}`;
+  }
+
+  return { prompt: styledPrompt };
+}
+
+module.exports = {
+  STYLE_PRESETS,
+  listStylePresets,
+  applyStylePreset
+};
@@ -216,7 +216,7 @@ class SupabaseService {
   }
   
   // Log image generation
-  static async logImageGeneration(userId, apiKeyId, prompt, dimensions, success, errorMessage = null) {
+  static async logImageGeneration(userId, apiKeyId, prompt, dimensions, success, errorMessage = null, seed = null, publicUrl = null, storagePath = null, model = null) {
     // Get profile to ensure we use the correct ID
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
@@ -236,9 +236,13 @@ class SupabaseService {
         api_key_id: apiKeyId,
         prompt: prompt,
         dimensions: dimensions,
+        model: model,
+        seed: seed,
         credits_used: 1,
         success: success,
-        error_message: errorMessage
+        error_message: errorMessage,
+        public_url: publicUrl,
+        storage_path: storagePath
       });
     
     if (error) {
@@ -0,0 +1,30 @@
+// Cache purge admin checks; run with `npm run test:unit`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_EMAILS = 'Admin@Example.com, ops@example.com';
+const { ADMIN_EMAILS, getAdminUser } = require('../cache-purge');
+
+// Stand-in for a Supabase client's auth API that knows two access tokens
+const auth = {
+  async getUser(token) {
+    const users = { admin: { id: 'u1', email: 'admin@example.com' }, user: { id: 'u2', email: 'user@example.com' } };
+    return users[token] ? { data: { user: users[token] }, error: null } : { data: { user: null }, error: { message: 'invalid JWT' } };
+  }
+};
+const request = (token) => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+test('ADMIN_EMAILS is parsed case-insensitively', () => {
+  assert.deepEqual(ADMIN_EMAILS, ['admin@example.com', 'ops@example.com']);
+});
+
+test('getAdminUser only accepts Supabase tokens of listed admins', async () => {
+  assert.deepEqual(await getAdminUser(auth, request('admin')), { user: { id: 'u1', email: 'admin@example.com' } });
+  assert.deepEqual(await getAdminUser(auth, request('user')), { status: 403, error: 'Admin access required' });
+  assert.deepEqual(await getAdminUser(auth, request(null)), { status: 401, error: 'No token provided' });
+  assert.equal((await getAdminUser(null, request('admin'))).status, 500);
+
+  // Unsigned session tokens must never grant admin access
+  const forged = `session_${Buffer.from(JSON.stringify({ userId: 'u1', email: 'admin@example.com', exp: Date.now() + 60000 })).toString('base64')}`;
+  assert.deepEqual(await getAdminUser(auth, request(forged)), { status: 401, error: 'Invalid token' });
+});
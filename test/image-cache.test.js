@@ -0,0 +1,50 @@
+// Image cache checks; run with `npm run test:unit`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { parsePurgeSelector, DiskByteCache } = require('../image-cache');
+
+test('DiskByteCache evicts the least recently used entries', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'byte-cache-'));
+  try {
+    const cache = new DiskByteCache({ dir, maxBytes: 25 });
+    await cache.set('a', Buffer.alloc(10, 'a'));
+    await cache.set('b', Buffer.alloc(10, 'b'));
+    assert.ok(await cache.get('a')); // b is now the least recently used
+    await cache.set('c', Buffer.alloc(10, 'c'));
+
+    assert.equal(await cache.get('b'), null);
+    assert.deepEqual(await cache.get('a'), Buffer.alloc(10, 'a'));
+    assert.deepEqual(await cache.get('c'), Buffer.alloc(10, 'c'));
+    assert.equal(cache.stats().bytes, 20);
+    assert.equal(cache.stats().evictions, 1);
+
+    // Entries larger than the whole cache are never stored
+    await cache.set('d', Buffer.alloc(30));
+    assert.equal(await cache.get('d'), null);
+
+    // The index is rebuilt from disk on restart
+    const reloaded = new DiskByteCache({ dir, maxBytes: 25 });
+    assert.deepEqual(await reloaded.get('c'), Buffer.alloc(10, 'c'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('parsePurgeSelector validates the purge body', () => {
+  assert.deepEqual(parsePurgeSelector({ all: true }), { selector: { all: true } });
+  assert.deepEqual(parsePurgeSelector({ prompt_prefix: 'cat', dimensions: '600x400' }), {
+    selector: { promptPrefix: 'cat', dimensions: '600x400' }
+  });
+
+  const { selector } = parsePurgeSelector({ older_than: '2025-01-01T00:00:00Z' });
+  assert.equal(selector.olderThan.toISOString(), '2025-01-01T00:00:00.000Z');
+
+  assert.match(parsePurgeSelector({}).error, /at least one/);
+  assert.match(parsePurgeSelector({ prompt: '' }).error, /Invalid prompt/);
+  assert.match(parsePurgeSelector({ dimensions: '600' }).error, /Invalid dimensions/);
+  assert.match(parsePurgeSelector({ older_than: 'yesterday' }).error, /Invalid older_than/);
+});
@@ -0,0 +1,44 @@
+// Image processing helper checks; run with `npm run test:unit`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getProviderSize, negotiateFormat, computePalette, PALETTE_MIN_COLORS } = require('../image-processing');
+
+// Palettes are computed with sharp, whose native binary may be missing
+let sharpError = null;
+try {
+  require('sharp');
+} catch (error) {
+  sharpError = `sharp is not available: ${error.message.split('\n')[0]}`;
+}
+
+test('getProviderSize keeps the ratio within the provider limits', () => {
+  const limits = { minSize: 1024, maxSize: 2048, step: 64 };
+  assert.deepEqual(getProviderSize(600, 400, limits), { width: 1536, height: 1024 });
+  assert.deepEqual(getProviderSize(1024, 1024, limits), { width: 1024, height: 1024 });
+
+  // Extreme ratios are clamped to the widest supported one
+  const { width, height } = getProviderSize(37, 911, limits);
+  assert.equal(width, 1024);
+  assert.equal(height, 2048);
+});
+
+test('negotiateFormat picks the best accepted format', () => {
+  assert.equal(negotiateFormat('image/avif,image/webp,*/*'), 'avif');
+  assert.equal(negotiateFormat('image/webp,image/*;q=0.8'), 'webp');
+  assert.equal(negotiateFormat('image/avif;q=0, image/webp'), 'webp');
+  assert.equal(negotiateFormat('text/html'), 'jpeg');
+  assert.equal(negotiateFormat(undefined), 'jpeg');
+});
+
+test('computePalette pads flat images to the minimum palette size', { skip: sharpError || false }, async () => {
+  const sharp = require('sharp');
+  const flat = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#336699' } }).png().toBuffer();
+  const palette = await computePalette(flat, 4, 4);
+
+  assert.equal(palette.dominant, '#336699');
+  assert.equal(palette.colors.length, PALETTE_MIN_COLORS);
+  assert.equal(palette.colors[0].population, 1);
+  assert.equal(new Set(palette.colors.map(({ hex }) => hex)).size, PALETTE_MIN_COLORS);
+  assert.ok(palette.colors.slice(1).every(({ population }) => population === 0));
+});
@@ -0,0 +1,36 @@
+// Image provider registry checks; run with `npm run test:unit`.
+// Needs no FAL key, Supabase or network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FalImageProvider, StubImageProvider, createImageProvider } = require('../image-providers');
+
+// The stub provider renders with sharp, whose native binary may be missing
+let sharpError = null;
+try {
+  require('sharp');
+} catch (error) {
+  sharpError = `sharp is not available: ${error.message.split('\n')[0]}`;
+}
+
+test('createImageProvider picks providers by name', () => {
+  assert.ok(createImageProvider('stub') instanceof StubImageProvider);
+  assert.throws(() => createImageProvider('nope'), /Unknown image provider: nope/);
+});
+
+test('FAL provider is not configured without FAL_KEY', { skip: process.env.FAL_KEY ? 'FAL_KEY is set' : false }, async () => {
+  const provider = new FalImageProvider();
+  assert.equal(provider.isConfigured, false);
+  await assert.rejects(provider.generate({ prompt: 'a cat', width: 1024, height: 1024 }), /FAL_KEY/);
+});
+
+test('StubImageProvider renders deterministic PNG data URIs', { skip: sharpError || false }, async () => {
+  const provider = new StubImageProvider();
+  const first = await provider.generate({ prompt: 'a cat', width: 64, height: 48, seed: 7 });
+  const again = await provider.generate({ prompt: 'a cat', width: 64, height: 48, seed: 7 });
+  const other = await provider.generate({ prompt: 'a cat', width: 64, height: 48, seed: 8 });
+
+  assert.match(first.url, /^data:image\/png;base64,/);
+  assert.equal(first.url, again.url);
+  assert.notEqual(first.url, other.url);
+});
@@ -0,0 +1,24 @@
+// Style preset checks; run with `npm run test:unit`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyStylePreset } = require('../style-presets');
+
+test('applyStylePreset rewrites the prompt', () => {
+  assert.deepEqual(applyStylePreset('a cat'), { prompt: 'a cat' });
+  assert.deepEqual(applyStylePreset('a cat', null, 'text'), { prompt: 'a cat. Avoid: text' });
+
+  const { prompt } = applyStylePreset('a cat', 'photo', 'text');
+  assert.ok(prompt.startsWith('a cat, professional photograph'));
+  assert.ok(prompt.endsWith('. Avoid: illustration, painting, cartoon, drawing, blurry, text'));
+
+  assert.match(applyStylePreset('a cat', 'nope').error, /Invalid style/);
+  assert.match(applyStylePreset('a cat', null, 'x'.repeat(1000)).error, /Invalid negative/);
+});
+
+test('applyStylePreset rejects repeated style and negative parameters', () => {
+  assert.deepEqual(applyStylePreset('a cat', null, ['a', 'b']), { error: 'Invalid negative. Must be given once' });
+  assert.deepEqual(applyStylePreset('a cat', ['anime', 'photo']), { error: 'Invalid style. Must be given once' });
+  assert.deepEqual(applyStylePreset('a cat', ['anime']), { error: 'Invalid style. Must be given once' });
+  assert.deepEqual(applyStylePreset('a cat', null, { nested: 'x' }), { error: 'Invalid negative. Must be given once' });
+});
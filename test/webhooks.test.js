@@ -0,0 +1,35 @@
+// Webhook signing and URL checks; run with `npm run test:unit`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { signWebhookPayload, validateWebhookUrl } = require('../webhooks');
+
+test('signWebhookPayload signs the timestamp and body', () => {
+  const body = JSON.stringify({ event: 'generation.completed' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+  assert.equal(signWebhookPayload('whsec_test', 1700000000, body), expected);
+  assert.notEqual(signWebhookPayload('whsec_other', 1700000000, body), expected);
+});
+
+test('validateWebhookUrl only accepts https URLs on public hosts', () => {
+  assert.equal(validateWebhookUrl('https://example.com/hook'), null);
+  assert.equal(validateWebhookUrl('https://8.8.8.8/hook'), null);
+  assert.equal(validateWebhookUrl('https://[2606:4700::1111]/hook'), null);
+
+  assert.match(validateWebhookUrl('http://example.com/hook'), /Must use https/);
+  assert.match(validateWebhookUrl('not a url'), /Invalid webhook URL/);
+  for (const url of [
+    'https://localhost:3000/hook',
+    'https://127.0.0.1/hook',
+    'https://10.1.2.3/hook',
+    'https://172.20.0.1/hook',
+    'https://192.168.1.1/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook',
+    'https://[fd00::1]/hook'
+  ]) {
+    assert.match(validateWebhookUrl(url), /public host/, url);
+  }
+});
@@ -0,0 +1,242 @@
+// Outgoing completion webhooks per API key
+//
+// When an image or mp4 generation made with an API key finishes, a signed JSON
+// payload is POSTed to the key's webhook_url. Every attempt is recorded in the
+// webhook_deliveries table so users can inspect the delivery log.
+//
+// Signature: X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// using the key's webhook_secret, with the timestamp in X-Webhook-Timestamp.
+//
+// Webhook URLs are user-supplied, so deliveries only go to public HTTPS hosts:
+// the host is resolved on every attempt and loopback, link-local and private
+// addresses are refused, which also covers DNS records changed after registration.
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Delay before each retry after a failed attempt; the first attempt is immediate
+const WEBHOOK_RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+
+// Addresses webhooks are never delivered to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for the delivery agent: fails when any address of the
+// host is blocked, so a request never connects to one
+function lookupPublicAddress(hostname, options, callback) {
+  const lookupOptions = typeof options === 'number' ? { family: options } : options;
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Returns an error message, or null when the URL can receive webhooks
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_WEBHOOK_URL_LENGTH) {
+    return `Invalid webhook URL. Must be at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+  }
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:') {
+      return 'Invalid webhook URL. Must use https';
+    }
+    // IP literals skip the agent's lookup, so they are checked here
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isBlockedAddress(hostname))) {
+      return 'Invalid webhook URL. Must point to a public host';
+    }
+  } catch (error) {
+    return 'Invalid webhook URL';
+  }
+  return null;
+}
+
+class WebhookService {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  // Send a generation result to the API key's webhook, if one is registered.
+  // payload: { type, prompt, dimensions, url, credits_used, success, error, ... }
+  // Never throws; delivery and retries happen in the background. Pending retries
+  // live in this process and are lost on restart (the log keeps the last state).
+  async notifyGeneration(apiKeyId, payload) {
+    if (!this.supabase || !apiKeyId) {
+      return;
+    }
+
+    try {
+      const { data: apiKey, error: keyError } = await this.supabase
+        .from('api_keys')
+        .select('id, user_id, webhook_url, webhook_secret')
+        .eq('id', apiKeyId)
+        .single();
+
+      if (keyError || !apiKey || !apiKey.webhook_url || !apiKey.webhook_secret) {
+        return;
+      }
+
+      const id = crypto.randomUUID();
+      const event = payload.success ? 'generation.completed' : 'generation.failed';
+      const delivery = {
+        id,
+        api_key_id: apiKey.id,
+        user_id: apiKey.user_id,
+        event,
+        url: apiKey.webhook_url,
+        payload: {
+          id,
+          event,
+          created_at: new Date().toISOString(),
+          data: payload
+        },
+        status: 'pending',
+        attempts: 0
+      };
+
+      const { error: insertError } = await this.supabase
+        .from('webhook_deliveries')
+        .insert(delivery);
+
+      if (insertError) {
+        console.error('Error logging webhook delivery:', insertError);
+      }
+
+      await this.attemptDelivery(delivery, apiKey.webhook_secret);
+    } catch (error) {
+      console.error('Webhook notification error:', error);
+    }
+  }
+
+  async attemptDelivery(delivery, secret) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+
+    // Checked again on every attempt; URLs registered before the https and
+    // public host rules are never retried
+    const urlError = validateWebhookUrl(delivery.url);
+    if (urlError) {
+      console.warn(`Webhook ${delivery.id} not sent: ${urlError}`);
+      return this.updateDelivery(delivery, {
+        status: 'failed',
+        response_status: null,
+        last_error: urlError,
+        next_retry_at: null
+      });
+    }
+
+    let responseStatus = null;
+    let errorMessage = null;
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AI-Image-Placeholder-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, timestamp, body)}`
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        httpsAgent: webhookAgent,
+        proxy: false,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        console.log(`📬 Webhook ${delivery.id} delivered to ${delivery.url} (attempt ${delivery.attempts})`);
+        return this.updateDelivery(delivery, {
+          status: 'delivered',
+          response_status: responseStatus,
+          last_error: null,
+          next_retry_at: null,
+          delivered_at: new Date().toISOString()
+        });
+      }
+      errorMessage = `HTTP ${response.status}`;
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const retryDelay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts - 1];
+    if (retryDelay === undefined) {
+      console.warn(`Webhook ${delivery.id} failed after ${delivery.attempts} attempts: ${errorMessage}`);
+      return this.updateDelivery(delivery, {
+        status: 'failed',
+        response_status: responseStatus,
+        last_error: errorMessage,
+        next_retry_at: null
+      });
+    }
+
+    console.warn(`Webhook ${delivery.id} attempt ${delivery.attempts} failed (${errorMessage}), retrying in ${retryDelay / 1000}s`);
+    await this.updateDelivery(delivery, {
+      status: 'retrying',
+      response_status: responseStatus,
+      last_error: errorMessage,
+      next_retry_at: new Date(Date.now() + retryDelay).toISOString()
+    });
+
+    // Don't keep the process alive just for a pending retry
+    setTimeout(() => {
+      this.attemptDelivery(delivery, secret).catch((error) => {
+        console.error('Webhook retry error:', error);
+      });
+    }, retryDelay).unref();
+  }
+
+  async updateDelivery(delivery, fields) {
+    const { error } = await this.supabase
+      .from('webhook_deliveries')
+      .update({ ...fields, attempts: delivery.attempts, updated_at: new Date().toISOString() })
+      .eq('id', delivery.id);
+
+    if (error) {
+      console.error('Error updating webhook delivery log:', error);
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_RETRY_DELAYS_MS,
+  generateWebhookSecret,
+  signWebhookPayload,
+  validateWebhookUrl,
+  WebhookService
+};